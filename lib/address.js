@@ -0,0 +1,105 @@
+// lib/address.js - Splits scraped addresses into their parts
+//
+// Maps shows an address as one line, in the order the country writes it:
+//   US/CA  "205 E Houston St, New York, NY 10002, United States"
+//   AU     "Campbell Parade, Bondi Beach NSW 2026, Australia"
+//   UK     "10 Downing St, London SW1A 2AA, UK"
+//   EU     "Friedrichstraße 43, 10117 Berlin, Germany"
+// `parseAddress` returns { street, locality, region, postalCode, country }
+// with 'N/A' for parts the address does not have and the ISO code as country.
+const { US_STATES, CA_PROVINCES, AU_STATES, countryCode, inferCountry } = require('./countries');
+
+// How the last part of an address (after the country) reads in each format.
+// `withLocality` formats hold the town as well; the others follow it.
+const FORMATS = {
+  US: {
+    pattern: new RegExp(`^(${US_STATES.join('|')})(?:\\s+(\\d{5}(?:-\\d{4})?))?$`),
+    parts: ['region', 'postalCode']
+  },
+  CA: {
+    pattern: new RegExp(`^(${CA_PROVINCES.join('|')})(?:\\s+([A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d))?$`),
+    parts: ['region', 'postalCode']
+  },
+  AU: {
+    pattern: new RegExp(`^(.+?)\\s+(${AU_STATES.join('|')})(?:\\s+(\\d{4}))?$`),
+    parts: ['locality', 'region', 'postalCode'],
+    withLocality: true
+  },
+  GB: {
+    pattern: /^(.+?)\s+([A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2})$/,
+    parts: ['locality', 'postalCode'],
+    withLocality: true
+  },
+  // Postcode before the town, optionally followed by a province code as in
+  // Italy ("00184 Roma RM"). Covers "10117", "1012 LG", "00-950", "1100-148".
+  EU: {
+    pattern: /^(\d{4}\s?[A-Z]{2}(?=\s)|\d{4,5}|\d{2}-\d{3}|\d{4}-\d{3}|\d{3}\s\d{2})\s+(.+?)(?:\s+([A-Z]{2}))?$/,
+    parts: ['postalCode', 'locality', 'region'],
+    withLocality: true
+  }
+};
+const FORMAT_ORDER = ['US', 'CA', 'AU', 'GB', 'EU'];
+
+const EMPTY_PARTS = { street: 'N/A', locality: 'N/A', region: 'N/A', postalCode: 'N/A', country: 'N/A' };
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'N/A';
+}
+
+// Read the address parts with one format, or null if it does not fit
+function readFormat(format, parts) {
+  const last = parts[parts.length - 1];
+  const match = last && last.match(format.pattern);
+  if (!match) return null;
+
+  const result = {};
+  format.parts.forEach((part, i) => {
+    if (match[i + 1]) result[part] = match[i + 1];
+  });
+
+  // US and Canadian addresses put the town in a part of its own
+  const rest = parts.slice(0, -1);
+  if (!format.withLocality) {
+    if (rest.length === 0) return null;
+    result.locality = rest.pop();
+  }
+  if (rest.length > 0) result.street = rest.join(', ');
+  return result;
+}
+
+// Split an address into { street, locality, region, postalCode, country }.
+// `location` (where the search was run) helps when the address does not
+// name its country.
+function parseAddress(address, { location = null } = {}) {
+  if (isMissing(address)) return { ...EMPTY_PARTS };
+
+  const parts = String(address).split(',').map(part => part.trim()).filter(Boolean);
+  let country = parts.length > 1 ? countryCode(parts[parts.length - 1]) : null;
+  if (country) {
+    parts.pop();
+  } else {
+    country = inferCountry(address, location);
+  }
+
+  // A single part is a street on its own, as in the result cards
+  const formatName = FORMATS[country] ? country : 'EU';
+  const tried = parts.length < 2 ? [] : country ? [formatName] : FORMAT_ORDER;
+  for (const name of tried) {
+    const result = readFormat(FORMATS[name], parts);
+    if (result) {
+      return { ...EMPTY_PARTS, ...result, country: country || (name === 'EU' ? 'N/A' : name) };
+    }
+  }
+
+  // Nothing recognizable: the last part is taken as the town
+  return {
+    ...EMPTY_PARTS,
+    street: parts.length > 1 ? parts.slice(0, -1).join(', ') : parts[0] || 'N/A',
+    locality: parts.length > 1 ? parts[parts.length - 1] : 'N/A',
+    country: country || 'N/A'
+  };
+}
+
+module.exports = {
+  parseAddress
+};
@@ -0,0 +1,151 @@
+// lib/batch.js - Query x location pairs for batch scrape jobs
+//
+// A scrape request names its searches either as single `query`/`location`
+// strings, as `queries`/`locations` arrays (every query is run in every
+// location), as an explicit `pairs` array, or as a CSV of query,location
+// rows in `csv`.
+
+// Searches a single job may run
+const MAX_BATCH_PAIRS = parseInt(process.env.MAX_BATCH_PAIRS, 10) || 1000;
+
+// Parse CSV text into rows of trimmed cells. Handles quoted cells with
+// commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+// Pairs from CSV rows of "query,location". A header row naming the columns
+// is optional and may list them in either order.
+function parsePairsCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  let queryColumn = 0;
+  let locationColumn = 1;
+
+  if (rows.length > 0) {
+    const header = rows[0].map(cell => cell.toLowerCase());
+    if (header.includes('query') && header.includes('location')) {
+      queryColumn = header.indexOf('query');
+      locationColumn = header.indexOf('location');
+      rows.shift();
+    }
+  }
+
+  return rows.map((cells, index) => {
+    const query = cells[queryColumn];
+    const location = cells[locationColumn];
+    if (!query || !location) {
+      throw new Error(`CSV row ${index + 1} needs a query and a location`);
+    }
+    return { query, location };
+  });
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Accept a single string or an array of strings. `name` is the field, for
+// the error message.
+function toList(value, name) {
+  const list = Array.isArray(value) ? value : value === undefined || value === null ? [] : [value];
+  if (!list.every(item => typeof item === 'string')) {
+    throw new Error(`${name} must be a string or a list of strings`);
+  }
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+// Every search a request asks for, without repeats. With an area the
+// location may be left out: each query is then searched over the area.
+// Throws with a message meant for the API caller.
+function buildSearchPairs(body, { hasArea = false } = {}) {
+  let pairs;
+
+  if (typeof body.csv === 'string') {
+    pairs = parsePairsCsv(body.csv);
+  } else if (Array.isArray(body.pairs)) {
+    pairs = body.pairs.map((pair, index) => {
+      if (!pair || !isText(pair.query) || !isText(pair.location)) {
+        throw new Error(`Pair ${index + 1} needs a query and a location`);
+      }
+      return { query: pair.query.trim(), location: pair.location.trim() };
+    });
+  } else {
+    const queries = toList(body.queries || body.query, body.queries ? 'Queries' : 'Query');
+    const locations = toList(body.locations || body.location, body.locations ? 'Locations' : 'Location');
+    if (queries.length === 0 || (locations.length === 0 && !hasArea)) {
+      throw new Error('Query and either location or area are required');
+    }
+    pairs = [];
+    for (const query of queries) {
+      for (const location of locations.length > 0 ? locations : [null]) {
+        pairs.push({ query, location });
+      }
+    }
+  }
+
+  const unique = new Map();
+  for (const pair of pairs) {
+    const key = `${pair.query.toLowerCase()}\u0000${(pair.location || '').toLowerCase()}`;
+    if (!unique.has(key)) unique.set(key, pair);
+  }
+
+  if (unique.size === 0) {
+    throw new Error('No searches given');
+  }
+  if (unique.size > MAX_BATCH_PAIRS) {
+    throw new Error(`A job can run at most ${MAX_BATCH_PAIRS} searches (got ${unique.size})`);
+  }
+  return Array.from(unique.values());
+}
+
+// The text typed into the Maps search box for a pair
+function pairSearchText({ query, location }) {
+  return location ? `${query} in ${location}` : query;
+}
+
+// Searches as one export cell, e.g. "plumber in Bondi; electrician in Bondi"
+function formatSearches(searches) {
+  return Array.isArray(searches) ? searches.map(pairSearchText).join('; ') : '';
+}
+
+module.exports = {
+  parsePairsCsv,
+  buildSearchPairs,
+  pairSearchText,
+  formatSearches
+};
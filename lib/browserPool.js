@@ -0,0 +1,217 @@
+// lib/browserPool.js - Pool of warm browsers shared across scrape jobs
+//
+// Jobs lease an isolated incognito context instead of launching their own
+// browser. Browsers stay open between jobs and are recycled once they have
+// served too many pages or grown past a memory threshold.
+const fs = require('fs');
+const chromium = require('chrome-aws-lambda');
+const puppeteerCore = require('puppeteer-core');
+
+// Most browsers kept open at once
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+// Pages a browser may open before it is replaced
+const MAX_PAGES_PER_BROWSER = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 200;
+// Resident memory (MB) of a browser's process tree before it is replaced
+const MAX_BROWSER_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB, 10) || 1024;
+
+const entries = [];
+let shuttingDown = false;
+
+// Launch browser using chrome-aws-lambda for Vercel serverless compatibility
+async function launchBrowser() {
+  return await puppeteerCore.launch({
+    args: chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath: await chromium.executablePath,
+    headless: chromium.headless,
+    ignoreHTTPSErrors: true,
+  });
+}
+
+function addEntry() {
+  const entry = {
+    browser: null,
+    ready: null,
+    pagesServed: 0,
+    activeContexts: 0,
+    retiring: false
+  };
+
+  entry.ready = launchBrowser().then((browser) => {
+    entry.browser = browser;
+    browser.on('disconnected', () => removeEntry(entry));
+    console.log(`Browser pool: launched browser (${entries.length}/${POOL_SIZE})`);
+    return browser;
+  }).catch((error) => {
+    removeEntry(entry);
+    throw error;
+  });
+
+  entries.push(entry);
+  return entry;
+}
+
+function removeEntry(entry) {
+  const index = entries.indexOf(entry);
+  if (index !== -1) {
+    entries.splice(index, 1);
+  }
+}
+
+// Least busy browser that is not being retired, launching a new one while
+// the pool has room and every open browser already has work
+function pickEntry() {
+  const available = entries
+    .filter(entry => !entry.retiring)
+    .sort((a, b) => a.activeContexts - b.activeContexts);
+
+  const leastBusy = available[0];
+  const poolFull = entries.length >= POOL_SIZE;
+
+  if (leastBusy && (leastBusy.activeContexts === 0 || poolFull)) {
+    return leastBusy;
+  }
+  // There is room for another browser, or every open one is retiring, in
+  // which case we go over the limit briefly rather than wait
+  return addEntry();
+}
+
+// Lease an isolated incognito context. Call `release()` on the returned lease
+// when the job is done with it.
+async function acquireBrowserContext() {
+  if (shuttingDown) {
+    throw new Error('Browser pool is shutting down');
+  }
+
+  const entry = pickEntry();
+  entry.activeContexts++;
+
+  let context;
+  try {
+    const browser = await entry.ready;
+    context = await browser.createIncognitoBrowserContext();
+  } catch (error) {
+    entry.activeContexts--;
+    throw error;
+  }
+
+  let released = false;
+
+  return {
+    async newPage() {
+      entry.pagesServed++;
+      return await context.newPage();
+    },
+
+    async release() {
+      if (released) return;
+      released = true;
+
+      await context.close().catch(() => {});
+      entry.activeContexts--;
+      await recycleIfWorn(entry);
+    }
+  };
+}
+
+// Why a browser that served `pagesServed` pages and uses `memoryMb` (null when
+// unknown) should be replaced, or null while it is within budget
+function recycleReason(pagesServed, memoryMb) {
+  if (pagesServed >= MAX_PAGES_PER_BROWSER) return `after ${pagesServed} pages`;
+  if (memoryMb !== null && memoryMb > MAX_BROWSER_MEMORY_MB) return `using ${memoryMb} MB`;
+  return null;
+}
+
+// Retire a browser past its page or memory budget, closing it once its last
+// context has been released
+async function recycleIfWorn(entry) {
+  if (!entry.retiring) {
+    const reason = recycleReason(entry.pagesServed, getProcessTreeMemoryMb(entry.browser.process()));
+    if (reason) {
+      console.log(`Browser pool: recycling browser ${reason}`);
+      entry.retiring = true;
+    }
+  }
+
+  if (entry.retiring && entry.activeContexts === 0) {
+    removeEntry(entry);
+    await entry.browser.close().catch(() => {});
+  }
+}
+
+// Total resident memory of a browser process and all its child processes
+// (renderers, GPU, etc.). Returns null where /proc is not available.
+function getProcessTreeMemoryMb(browserProcess) {
+  if (!browserProcess || !browserProcess.pid || !fs.existsSync('/proc')) {
+    return null;
+  }
+
+  try {
+    const children = new Map();
+    for (const name of fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(name)) continue;
+      try {
+        const stat = fs.readFileSync(`/proc/${name}/stat`, 'utf8');
+        // The command name may contain spaces, so read fields after its ')'
+        const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+        if (!children.has(ppid)) children.set(ppid, []);
+        children.get(ppid).push(parseInt(name, 10));
+      } catch (error) {
+        // Process exited while we were reading it
+      }
+    }
+
+    let totalKb = 0;
+    const pending = [browserProcess.pid];
+    while (pending.length > 0) {
+      const pid = pending.pop();
+      try {
+        const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/VmRSS:\s+(\d+)\s+kB/);
+        if (match) totalKb += parseInt(match[1], 10);
+      } catch (error) {
+        // Process exited while we were reading it
+      }
+      pending.push(...(children.get(pid) || []));
+    }
+
+    return Math.round(totalKb / 1024);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Close every browser in the pool; used on shutdown
+async function closeBrowserPool() {
+  shuttingDown = true;
+  const closing = entries.splice(0).map(async (entry) => {
+    try {
+      const browser = await entry.ready;
+      await browser.close();
+    } catch (error) {
+      // Failed launches and already-closed browsers need no cleanup
+    }
+  });
+  await Promise.all(closing);
+  console.log('Browser pool: all browsers closed');
+}
+
+// Snapshot of the pool for monitoring
+function getBrowserPoolStats() {
+  return entries.map(entry => ({
+    ready: entry.browser !== null,
+    pagesServed: entry.pagesServed,
+    activeContexts: entry.activeContexts,
+    retiring: entry.retiring,
+    memoryMb: entry.browser ? getProcessTreeMemoryMb(entry.browser.process()) : null
+  }));
+}
+
+module.exports = {
+  acquireBrowserContext,
+  closeBrowserPool,
+  getBrowserPoolStats,
+  recycleReason,
+  recycleIfWorn,
+  getProcessTreeMemoryMb
+};
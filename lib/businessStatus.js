@@ -0,0 +1,48 @@
+// lib/businessStatus.js - Whether a business is open for business and claimed
+//
+// Maps marks closed businesses with a "Permanently closed" or "Temporarily
+// closed" label, on the place panel and on its result card. Listings whose
+// owner has not verified them show an "Own this business?" prompt instead of
+// owner-managed details. The statuses use the Places API names.
+
+const OPERATIONAL_STATUS = {
+  OPERATIONAL: 'OPERATIONAL',
+  CLOSED_TEMPORARILY: 'CLOSED_TEMPORARILY',
+  CLOSED_PERMANENTLY: 'CLOSED_PERMANENTLY'
+};
+
+// The status for the label text a page or card shows, if any. A page that was
+// read without a closed label is operational.
+function operationalStatusFromText(text) {
+  const value = typeof text === 'string' ? text.toLowerCase() : '';
+  if (value.includes('permanently closed') || value.includes('closed permanently')) {
+    return OPERATIONAL_STATUS.CLOSED_PERMANENTLY;
+  }
+  if (value.includes('temporarily closed') || value.includes('closed temporarily')) {
+    return OPERATIONAL_STATUS.CLOSED_TEMPORARILY;
+  }
+  return OPERATIONAL_STATUS.OPERATIONAL;
+}
+
+function isClosed({ operationalStatus }) {
+  return operationalStatus === OPERATIONAL_STATUS.CLOSED_PERMANENTLY ||
+    operationalStatus === OPERATIONAL_STATUS.CLOSED_TEMPORARILY;
+}
+
+// Turn the raw `operationalStatus` and `claimPrompt` fields read from a place
+// page into the record's `operationalStatus` and `claimed`
+function applyBusinessStatus(details) {
+  const { claimPrompt, ...rest } = details;
+  return {
+    ...rest,
+    operationalStatus: operationalStatusFromText(details.operationalStatus),
+    claimed: claimPrompt === undefined || claimPrompt === 'N/A'
+  };
+}
+
+module.exports = {
+  OPERATIONAL_STATUS,
+  operationalStatusFromText,
+  isClosed,
+  applyBusinessStatus
+};
@@ -0,0 +1,30 @@
+// lib/concurrency.js - Helpers for running async work with a bounded pool
+
+// Run `worker(item, index)` over every item with at most `concurrency` calls in
+// flight. Results come back in the same order as `items`, whatever order the
+// workers finish in. A worker that throws rejects the whole call, so workers
+// should handle their own per-item failures.
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(concurrency, items.length));
+  const workers = [];
+  for (let i = 0; i < poolSize; i++) {
+    workers.push(runWorker());
+  }
+
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,150 @@
+// lib/countries.js - Guesses the country a place is in from free text
+//
+// Used where a field needs a country to be read correctly, e.g. phone
+// numbers written in national format. The text is a Maps address or the
+// location typed into a search, so the guess looks for a country name, then
+// for a region or postcode format that only one country uses, then for a
+// well-known city.
+
+// Country names and common short forms, lowercase, to ISO 3166-1 alpha-2
+const COUNTRY_NAMES = {
+  'united states': 'US', 'united states of america': 'US', usa: 'US', 'u.s.a.': 'US', 'u.s.': 'US', us: 'US',
+  'united kingdom': 'GB', uk: 'GB', 'u.k.': 'GB', 'great britain': 'GB', england: 'GB', scotland: 'GB', wales: 'GB', 'northern ireland': 'GB',
+  canada: 'CA', australia: 'AU', 'new zealand': 'NZ', ireland: 'IE',
+  germany: 'DE', deutschland: 'DE', austria: 'AT', österreich: 'AT', switzerland: 'CH', schweiz: 'CH', suisse: 'CH',
+  france: 'FR', belgium: 'BE', belgique: 'BE', belgië: 'BE', netherlands: 'NL', nederland: 'NL', 'the netherlands': 'NL',
+  luxembourg: 'LU', spain: 'ES', españa: 'ES', portugal: 'PT', italy: 'IT', italia: 'IT',
+  denmark: 'DK', danmark: 'DK', sweden: 'SE', sverige: 'SE', norway: 'NO', norge: 'NO', finland: 'FI', suomi: 'FI',
+  poland: 'PL', polska: 'PL', 'czech republic': 'CZ', czechia: 'CZ', greece: 'GR', hungary: 'HU', romania: 'RO',
+  india: 'IN', singapore: 'SG', japan: 'JP', mexico: 'MX', méxico: 'MX', brazil: 'BR', brasil: 'BR',
+  'south africa': 'ZA', 'united arab emirates': 'AE', uae: 'AE'
+};
+
+// Large cities searched for by name alone, e.g. "Berlin". Region codes and
+// postcodes are checked first, so "London, ON" is still read as Canada.
+const CITY_NAMES = {
+  berlin: 'DE', hamburg: 'DE', munich: 'DE', münchen: 'DE', cologne: 'DE', köln: 'DE', frankfurt: 'DE',
+  stuttgart: 'DE', düsseldorf: 'DE', leipzig: 'DE', dresden: 'DE', vienna: 'AT', wien: 'AT', zurich: 'CH', zürich: 'CH',
+  geneva: 'CH', genève: 'CH', london: 'GB', manchester: 'GB', liverpool: 'GB', edinburgh: 'GB', glasgow: 'GB',
+  dublin: 'IE', paris: 'FR', marseille: 'FR', lyon: 'FR', brussels: 'BE', bruxelles: 'BE', amsterdam: 'NL',
+  rotterdam: 'NL', madrid: 'ES', barcelona: 'ES', valencia: 'ES', seville: 'ES', lisbon: 'PT', lisboa: 'PT', porto: 'PT',
+  rome: 'IT', roma: 'IT', milan: 'IT', milano: 'IT', naples: 'IT', napoli: 'IT', florence: 'IT', firenze: 'IT',
+  copenhagen: 'DK', københavn: 'DK', stockholm: 'SE', oslo: 'NO', helsinki: 'FI', warsaw: 'PL', warszawa: 'PL',
+  krakow: 'PL', kraków: 'PL', prague: 'CZ', praha: 'CZ', budapest: 'HU', athens: 'GR', bucharest: 'RO',
+  'new york': 'US', 'los angeles': 'US', chicago: 'US', houston: 'US', 'san francisco': 'US', miami: 'US',
+  seattle: 'US', boston: 'US', toronto: 'CA', montreal: 'CA', montréal: 'CA', vancouver: 'CA', sydney: 'AU',
+  melbourne: 'AU', brisbane: 'AU', auckland: 'NZ', mumbai: 'IN', delhi: 'IN', 'new delhi': 'IN', bangalore: 'IN',
+  tokyo: 'JP', osaka: 'JP', 'mexico city': 'MX', 'ciudad de méxico': 'MX', 'são paulo': 'BR', 'rio de janeiro': 'BR',
+  johannesburg: 'ZA', 'cape town': 'ZA', dubai: 'AE', 'abu dhabi': 'AE'
+};
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA',
+  'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR',
+  'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+];
+const US_STATE_NAMES = [
+  'alabama', 'alaska', 'arizona', 'arkansas', 'california', 'colorado', 'connecticut', 'delaware', 'florida',
+  'georgia', 'hawaii', 'idaho', 'illinois', 'indiana', 'iowa', 'kansas', 'kentucky', 'louisiana', 'maine',
+  'maryland', 'massachusetts', 'michigan', 'minnesota', 'mississippi', 'missouri', 'montana', 'nebraska', 'nevada',
+  'new hampshire', 'new jersey', 'new mexico', 'new york', 'north carolina', 'north dakota', 'ohio', 'oklahoma',
+  'oregon', 'pennsylvania', 'rhode island', 'south carolina', 'south dakota', 'tennessee', 'texas', 'utah',
+  'vermont', 'virginia', 'washington', 'west virginia', 'wisconsin', 'wyoming'
+];
+const CA_PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+const AU_STATES = ['NSW', 'VIC', 'QLD', 'WA', 'SA', 'TAS', 'ACT', 'NT'];
+
+// Postcode formats that identify a country on their own
+const POSTCODE_PATTERNS = [
+  // "NY 10014", "CA 94103-1234"
+  { country: 'US', pattern: new RegExp(`\\b(?:${US_STATES.join('|')})\\s+\\d{5}(?:-\\d{4})?\\b`) },
+  // "ON M5V 3L9"
+  { country: 'CA', pattern: new RegExp(`\\b(?:${CA_PROVINCES.join('|')})\\s+[A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d\\b`) },
+  { country: 'CA', pattern: /\b[ABCEGHJ-NPRSTVXY]\d[A-Z]\s\d[A-Z]\d\b/ },
+  // "NSW 2026"
+  { country: 'AU', pattern: new RegExp(`\\b(?:${AU_STATES.join('|')})\\s+\\d{4}\\b`) },
+  // "SW1A 1AA", "EH1 1YZ"
+  { country: 'GB', pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s\d[A-Z]{2}\b/ },
+  // "1012 AB Amsterdam"
+  { country: 'NL', pattern: /\b\d{4}\s?[A-Z]{2}\s+[A-Z][a-z]/ }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Country named in the text, preferring the last one (addresses end with it).
+// `names` maps lowercase names to country codes.
+function countryFromName(text, names = COUNTRY_NAMES) {
+  const lower = text.toLowerCase();
+  let best = null;
+  for (const [name, code] of Object.entries(names)) {
+    const match = new RegExp(`(?:^|[\\s,])${escapeRegExp(name)}(?=$|[\\s,])`, 'g');
+    let found;
+    while ((found = match.exec(lower)) !== null) {
+      // Two-letter forms like "US" are only trusted at the very end
+      if (name.length <= 3 && found.index + found[0].length !== lower.trimEnd().length) continue;
+      if (!best || found.index > best.index) best = { index: found.index, code };
+    }
+  }
+  return best ? best.code : null;
+}
+
+// A region code ending a location, e.g. "Austin, TX" or "Sydney NSW". WA is
+// read as Washington and NT as the Northern Territory.
+const REGION_CODES = [
+  { country: 'AU', codes: AU_STATES.filter(code => code !== 'WA') },
+  { country: 'CA', codes: CA_PROVINCES.filter(code => code !== 'NT') },
+  { country: 'US', codes: US_STATES }
+];
+
+function countryFromRegion(text) {
+  for (const { country, pattern } of POSTCODE_PATTERNS) {
+    if (pattern.test(text)) return country;
+  }
+  const lastWord = text.trim().split(/[\s,]+/).pop();
+  for (const { country, codes } of REGION_CODES) {
+    if (codes.includes(lastWord)) return country;
+  }
+  const lower = text.toLowerCase();
+  if (US_STATE_NAMES.some(state => new RegExp(`(?:^|,\\s*)${state}$|,\\s*${state}(?:,|$)`).test(lower))) {
+    return 'US';
+  }
+  return null;
+}
+
+// ISO country code for a country name such as "Germany" or "UK", or null
+function countryCode(name) {
+  if (typeof name !== 'string') return null;
+  return COUNTRY_NAMES[name.trim().toLowerCase()] || null;
+}
+
+// ISO country code for the first text that names or implies one, or null
+function inferCountry(...texts) {
+  for (const text of texts) {
+    if (typeof text !== 'string' || !text.trim() || text === 'N/A') continue;
+    const country = countryFromName(text) || countryFromRegion(text) || countryFromName(text, CITY_NAMES);
+    if (country) return country;
+  }
+  return null;
+}
+
+// The region a Maps URL was opened for: its "gl" parameter, else the region
+// of its "hl" language (e.g. "en-GB"), or null. A language alone, such as
+// "hl=de", is not enough.
+function mapsRegion(url) {
+  if (typeof url !== 'string') return null;
+  const gl = url.match(/[?&]gl=([a-z]{2})(?:&|#|$)/i);
+  if (gl) return gl[1].toUpperCase();
+  const hl = url.match(/[?&]hl=[a-z]{2,3}[-_]([a-z]{2})(?:&|#|$)/i);
+  return hl ? hl[1].toUpperCase() : null;
+}
+
+module.exports = {
+  US_STATES,
+  CA_PROVINCES,
+  AU_STATES,
+  countryCode,
+  inferCountry,
+  mapsRegion
+};
@@ -0,0 +1,282 @@
+// lib/dedupe.js - Finds records that describe the same business and merges them
+//
+// Two records are the same business when any of these hold:
+//   - they share a place ID or CID
+//   - they share a phone number
+//   - they share a website domain and have similar names or addresses
+//   - they have similar names and similar addresses
+// Matches other than place ID and CID are only accepted when the records are
+// close together (where both have coordinates), so branches of a chain that
+// share a phone line or website stay apart.
+const { placeKey } = require('./placeIdentity');
+
+// Hosts that many unrelated businesses use as their "website"
+const SHARED_HOSTS = [
+  'facebook.com', 'instagram.com', 'google.com', 'business.site', 'sites.google.com',
+  'wixsite.com', 'linktr.ee', 'yelp.com', 'tripadvisor.com', 'wordpress.com',
+  'squarespace.com', 'godaddysites.com', 'weebly.com', 'booking.com', 'opentable.com'
+];
+const NAME_SIMILARITY = 0.8;
+const ADDRESS_SIMILARITY = 0.8;
+// How far apart (in meters) two records of the same business may be placed
+const MAX_DISTANCE_METERS = 1000;
+// Digits compared at the end of a phone number, so that "+1 212-366-1182" and
+// "(212) 366-1182" match
+const PHONE_DIGITS = 9;
+
+const NAME_STOP_WORDS = new Set(['the', 'and', 'of', 'a', 'an', 'at', 'in', 'de', 'la', 'le', 'el', 'der', 'die', 'das', 'und']);
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln',
+  place: 'pl', court: 'ct', square: 'sq', highway: 'hwy', parkway: 'pkwy', suite: 'ste',
+  north: 'n', south: 's', east: 'e', west: 'w', strasse: 'str', straße: 'str'
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'N/A';
+}
+
+function tokens(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .split(/[^a-z0-9ß]+/)
+    .filter(Boolean);
+}
+
+function nameTokens(name) {
+  return tokens(name).filter(token => !NAME_STOP_WORDS.has(token));
+}
+
+function addressTokens(address) {
+  return tokens(address).map(token => ADDRESS_ABBREVIATIONS[token] || token);
+}
+
+// Share of the shorter token list found in the longer one, so "Joe's Pizza"
+// and "Joe's Pizza - Downtown" count as the same name
+function overlap(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const longer = new Set(a.length >= b.length ? a : b);
+  const shorter = a.length >= b.length ? b : a;
+  return shorter.filter(token => longer.has(token)).length / shorter.length;
+}
+
+function nameSimilarity(a, b) {
+  if (isMissing(a) || isMissing(b)) return 0;
+  return overlap(nameTokens(a), nameTokens(b));
+}
+
+// Addresses with different house numbers are different places
+function addressSimilarity(a, b) {
+  if (isMissing(a) || isMissing(b)) return 0;
+  const tokensA = addressTokens(a);
+  const tokensB = addressTokens(b);
+  const numberA = tokensA.find(token => /^\d/.test(token));
+  const numberB = tokensB.find(token => /^\d/.test(token));
+  if (numberA && numberB && numberA !== numberB) return 0;
+  return overlap(tokensA, tokensB);
+}
+
+function normalizePhone(phone) {
+  if (isMissing(phone)) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-PHONE_DIGITS) : null;
+}
+
+function websiteDomain(website) {
+  if (isMissing(website)) return null;
+  const host = String(website).trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/^www\./, '');
+  if (!host.includes('.') || SHARED_HOSTS.some(shared => host === shared || host.endsWith(`.${shared}`))) {
+    return null;
+  }
+  return host;
+}
+
+function distanceMeters(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function farApart(a, b) {
+  const located = record => typeof record.latitude === 'number' && typeof record.longitude === 'number';
+  return located(a) && located(b) && distanceMeters(a, b) > MAX_DISTANCE_METERS;
+}
+
+// Keys that are cheap to compare and that records of the same business are
+// likely to share. Only records sharing a key are compared in full.
+function blockingKeys(record) {
+  const keys = [];
+  if (!isMissing(record.placeId)) keys.push(`place:${record.placeId}`);
+  if (!isMissing(record.cid)) keys.push(`cid:${record.cid}`);
+  const phone = normalizePhone(record.phone);
+  if (phone) keys.push(`phone:${phone}`);
+  const domain = websiteDomain(record.website);
+  if (domain) keys.push(`domain:${domain}`);
+  for (const token of isMissing(record.name) ? [] : nameTokens(record.name)) {
+    if (token.length >= 3) keys.push(`name:${token}`);
+  }
+  return keys;
+}
+
+// Whether two records carry different place IDs or CIDs, which makes them
+// different places whatever else they share (e.g. branches with one phone line)
+function conflictingIds(a, b) {
+  const differ = field => !isMissing(a[field]) && !isMissing(b[field]) && a[field] !== b[field];
+  return differ('placeId') || differ('cid');
+}
+
+// The rule that makes two records the same business, or null
+function matchRule(a, b) {
+  if (!isMissing(a.placeId) && a.placeId === b.placeId) return 'placeId';
+  if (!isMissing(a.cid) && a.cid === b.cid) return 'cid';
+  if (conflictingIds(a, b) || farApart(a, b)) return null;
+
+  const phone = normalizePhone(a.phone);
+  if (phone && phone === normalizePhone(b.phone)) return 'phone';
+
+  const names = nameSimilarity(a.name, b.name);
+  const addresses = addressSimilarity(a.address, b.address);
+
+  const domain = websiteDomain(a.website);
+  if (domain && domain === websiteDomain(b.website) &&
+      (names >= NAME_SIMILARITY || addresses >= ADDRESS_SIMILARITY)) {
+    return 'website';
+  }
+
+  if (names >= NAME_SIMILARITY && addresses >= ADDRESS_SIMILARITY) return 'name+address';
+  return null;
+}
+
+function filledFieldCount(record) {
+  return Object.values(record).filter(value => !isMissing(value)).length;
+}
+
+// Merge a group of records of one business. The most complete record is the
+// base; fields it lacks are filled in from the others, and text that another
+// record has in a longer form (e.g. an address with a postcode) is replaced.
+function mergeRecords(group) {
+  const [base, ...others] = [...group].sort((a, b) => filledFieldCount(b) - filledFieldCount(a));
+  const merged = { ...base };
+
+  for (const other of others) {
+    for (const [field, value] of Object.entries(other)) {
+      if (isMissing(value)) continue;
+
+      if (field === 'searches' && Array.isArray(value)) {
+        const searches = Array.isArray(merged.searches) ? [...merged.searches] : [];
+        for (const search of value) {
+          if (!searches.some(known => known.query === search.query && known.location === search.location)) {
+            searches.push(search);
+          }
+        }
+        merged.searches = searches;
+      } else if (isMissing(merged[field])) {
+        merged[field] = value;
+      } else if (typeof value === 'string' && typeof merged[field] === 'string' &&
+          value.length > merged[field].length && value.toLowerCase().includes(merged[field].toLowerCase())) {
+        merged[field] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+// Whether a value can be a business record: a plain object
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge records that describe the same business. Returns the merged records,
+// in the order each business was first seen, and a `duplicates` report with
+// one entry per business that had more than one record. Throws when a record
+// is not an object.
+function resolveDuplicates(records) {
+  if (!records.every(isRecord)) {
+    throw new Error('Each record must be an object');
+  }
+  const parent = records.map((record, index) => index);
+  const matchedOn = records.map(() => null);
+  // The place ID and CID of each group, by root, so two places are not
+  // joined through a third record that matches both
+  const groupIds = records.map(({ placeId, cid }) => ({ placeId, cid }));
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const blocks = new Map();
+  records.forEach((record, index) => {
+    const candidates = new Set();
+    for (const key of blockingKeys(record)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).forEach(candidate => candidates.add(candidate));
+      blocks.get(key).push(index);
+    }
+
+    for (const candidate of candidates) {
+      const root = find(candidate);
+      if (root === find(index) || conflictingIds(groupIds[root], groupIds[find(index)])) continue;
+      const rule = matchRule(records[candidate], record);
+      if (rule) {
+        const ids = groupIds[find(index)];
+        groupIds[root] = {
+          placeId: isMissing(groupIds[root].placeId) ? ids.placeId : groupIds[root].placeId,
+          cid: isMissing(groupIds[root].cid) ? ids.cid : groupIds[root].cid
+        };
+        parent[find(index)] = root;
+        matchedOn[index] = matchedOn[index] || { with: candidate, rule };
+      }
+    }
+  });
+
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  const merged = [];
+  const duplicates = [];
+  for (const indexes of groups.values()) {
+    const record = mergeRecords(indexes.map(index => records[index]));
+    merged.push(record);
+
+    if (indexes.length > 1) {
+      duplicates.push({
+        key: placeKey(record),
+        name: record.name,
+        count: indexes.length,
+        records: indexes.map(index => ({
+          name: records[index].name,
+          address: records[index].address,
+          url: records[index].url,
+          matchedOn: matchedOn[index] ? matchedOn[index].rule : null
+        }))
+      });
+    }
+  }
+
+  return { records: merged, duplicates };
+}
+
+module.exports = {
+  normalizePhone,
+  websiteDomain,
+  nameSimilarity,
+  addressSimilarity,
+  isRecord,
+  resolveDuplicates
+};
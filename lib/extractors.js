@@ -0,0 +1,383 @@
+// lib/extractors.js - Functions that read listings and business details from
+// Google Maps pages. Selectors come from the selector registry.
+const { getSelectorRegistry } = require('./selectorRegistry');
+const { countPlaceLinks, waitForFeedGrowth, isFeedExhausted } = require('./waits');
+const { placeKey } = require('./placeIdentity');
+const { readPopularTimesInPage, parsePopularTimes } = require('./popularTimes');
+const { operationalStatusFromText, applyBusinessStatus } = require('./businessStatus');
+
+// Improved function to collect all listing URLs from search results. With
+// `withCards`, each listing also gets a `card` with the fields its result card
+// shows (see extractFeedCards).
+async function collectListingUrls(page, limit, onEvent = () => {}, { withCards = false } = {}) {
+  const listingUrls = [];
+  let previousUrlCount = 0;
+  let scrollAttempts = 0;
+  const maxScrollAttempts = 30; // Increased max scroll attempts
+  let consecutiveNoNewUrls = 0;
+  const maxConsecutiveNoNewUrls = 5; // Stop after 5 consecutive scrolls with no new URLs
+  
+  while (listingUrls.length < limit && scrollAttempts < maxScrollAttempts && 
+         consecutiveNoNewUrls < maxConsecutiveNoNewUrls) {
+    
+    previousUrlCount = listingUrls.length;
+    
+    // Extract URLs currently visible
+    const newUrls = await page.evaluate((listingLinkSelectors) => {
+      const results = [];
+      // Get all listing links - checking multiple selectors for better reliability
+      let listingLinks = [];
+      for (const selector of listingLinkSelectors) {
+        const elements = document.querySelectorAll(selector);
+        if (elements.length > 0) {
+          listingLinks = elements;
+          break;
+        }
+      }
+      
+      listingLinks.forEach(link => {
+        const url = link.href;
+        
+        // Try to extract name from different attributes
+        let name = link.getAttribute('aria-label');
+        
+        if (!name) {
+          // Try to find name in nearby elements
+          const nearbyHeading = link.closest('div').querySelector('div[role="heading"], h3, h2, h1');
+          if (nearbyHeading) {
+            name = nearbyHeading.textContent.trim();
+          } else {
+            // Use some content from the link or its parent
+            name = (link.textContent || link.closest('div').textContent || '').trim();
+            // Limit to first line if multiple lines
+            name = name.split('\n')[0].trim();
+          }
+        }
+        
+        // Only add if we have both URL and name
+        if (url && name && url.includes('/maps/place/')) {
+          results.push({ name, url });
+        }
+      });
+      
+      return results;
+    }, getSelectorRegistry().listingLinks);
+    
+    // Read the cards while they are loaded
+    const cards = withCards ? await extractFeedCards(page) : null;
+    
+    // Add new unique URLs to our collection
+    let addedNewUrls = false;
+    for (const item of newUrls) {
+      // Skip places we already have, even if their URL differs
+      const key = placeKey(item);
+      if (!listingUrls.some(existing => placeKey(existing) === key)) {
+        listingUrls.push(cards ? { ...item, card: cards.get(item.url) || emptyFeedCard() } : item);
+        addedNewUrls = true;
+        if (listingUrls.length >= limit) break;
+      }
+    }
+    
+    console.log(`Found ${listingUrls.length}/${limit} URLs after scroll #${scrollAttempts + 1}`);
+    onEvent('urls-progress', { collected: listingUrls.length, limit });
+    
+    // Track if we found new URLs
+    if (addedNewUrls) {
+      consecutiveNoNewUrls = 0;
+    } else {
+      consecutiveNoNewUrls++;
+      console.log(`No new URLs found for ${consecutiveNoNewUrls} consecutive scrolls`);
+    }
+    
+    // Scroll to load more results if needed
+    if (listingUrls.length < limit) {
+      if (await isFeedExhausted(page)) {
+        console.log('Reached the end of the results list');
+        break;
+      }
+      
+      const linkCount = await countPlaceLinks(page);
+      await improvedAutoScroll(page);
+      scrollAttempts++;
+      
+      // Wait for the feed to load more cards, allowing longer after each scroll
+      const maxWaitTime = 3000 + (scrollAttempts * 500);
+      await waitForFeedGrowth(page, linkCount, maxWaitTime);
+    }
+  }
+  
+  // Return only up to the limit requested
+  return listingUrls.slice(0, limit);
+}
+
+// Improved auto scroll function with better detection of scrollable elements
+async function improvedAutoScroll(page) {
+  return await page.evaluate(async (scrollableSelectors) => {
+    // Try the registry's selectors for the scrollable container
+    let scrollableElement = null;
+    
+    // Find the first valid scrollable element
+    for (const selector of scrollableSelectors) {
+      const element = document.querySelector(selector);
+      if (element && element.scrollHeight > element.clientHeight) {
+        scrollableElement = element;
+        break;
+      }
+    }
+    
+    // If no specific element found, try the document body
+    if (!scrollableElement) {
+      scrollableElement = document.scrollingElement || document.documentElement;
+    }
+    
+    const scrollHeight = scrollableElement.scrollHeight;
+    const windowHeight = window.innerHeight || scrollableElement.clientHeight;
+    const scrollDistance = windowHeight * 0.7; // Scroll 70% of visible window
+    
+    // Starting position
+    const startY = scrollableElement.scrollTop;
+    const endY = Math.min(startY + scrollDistance, scrollHeight - windowHeight);
+    
+    // Smooth scroll in small steps
+    const steps = 15;
+    const stepSize = (endY - startY) / steps;
+    
+    for (let i = 1; i <= steps; i++) {
+      scrollableElement.scrollTop = startY + (stepSize * i);
+      // Small pause between each scroll step
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    
+    return true; // Return success
+  }, getSelectorRegistry().scrollContainers);
+}
+
+// Read registry fields inside the page. With no `cards` spec the whole
+// document is read once; otherwise each element matching `cards.card` is read
+// on its own, along with the place URL of its `cards.link` or, for cards that
+// have no link, the value of its `cards.id` attribute. Each field's value
+// comes from the first of its strategies that yields one, and `fieldSources`
+// records which: "selector:<index>", "fallback:<index>" or "none".
+//
+// This runs in the page through page.evaluate, so it must not use anything
+// from the surrounding module.
+function readFieldsInPage(fields, cards) {
+  const sourceLabel = (strategy, index) => `${strategy.fallback ? 'fallback' : 'selector'}:${index}`;
+  
+  // Keep a value only if it matches the pattern (when there is one),
+  // narrowed down to the capture group
+  const applyPattern = (value, { pattern, flags, group = 0 }) => {
+    if (!pattern) return value;
+    const match = value.match(new RegExp(pattern, flags));
+    return match && match[group] ? match[group].trim() : null;
+  };
+  
+  // Read one source from an element: "text", "text:<child selector>",
+  // "innerText", "href" or "attr:<name>", optionally as an object with its
+  // own pattern/reject
+  const readSource = (element, source) => {
+    const spec = typeof source === 'string' ? { from: source } : source;
+    let value = null;
+    
+    if (spec.from === 'text') {
+      value = element.textContent;
+    } else if (spec.from === 'innerText') {
+      value = element.innerText;
+    } else if (spec.from === 'href') {
+      value = element.href || element.getAttribute('href');
+    } else if (spec.from.startsWith('text:')) {
+      const child = element.querySelector(spec.from.slice('text:'.length));
+      value = child ? child.textContent : null;
+    } else if (spec.from.startsWith('attr:')) {
+      value = element.getAttribute(spec.from.slice('attr:'.length));
+    }
+    
+    value = value ? value.trim() : '';
+    if (!value) return null;
+    if (spec.reject && new RegExp(spec.reject, spec.flags).test(value)) return null;
+    return applyPattern(value, spec);
+  };
+  
+  // Read a table row by row, e.g. the opening hours table
+  const readRows = (element, { rows, cells, format, join }) => {
+    const lines = [];
+    
+    element.querySelectorAll(rows).forEach(row => {
+      const values = {};
+      for (const [key, selector] of Object.entries(cells)) {
+        const cell = row.querySelector(selector);
+        const text = cell ? cell.textContent.trim() : '';
+        if (!text) return;
+        values[key] = text;
+      }
+      lines.push(format.replace(/\{(\w+)\}/g, (match, key) => values[key]));
+    });
+    
+    return lines.length > 0 ? lines.join(join) : null;
+  };
+  
+  const readRoot = (root) => {
+    const details = {};
+    const fieldSources = {};
+    
+    // Value of one element under a strategy
+    const readElement = (element, strategy) => {
+      let value = null;
+      
+      if (strategy.rows) {
+        value = readRows(element, strategy);
+      } else {
+        for (const source of strategy.sources) {
+          value = readSource(element, source);
+          if (value) break;
+        }
+      }
+      
+      if (!value) return null;
+      value = applyPattern(value, strategy);
+      if (!value) return null;
+      
+      // Skip values that just repeat another field, e.g. the website shown as a category
+      if ((strategy.notEqualTo || []).some(field => details[field] === value)) return null;
+      
+      return value;
+    };
+    
+    // All values a strategy yields, in document order. Only the first matching
+    // element is read unless the strategy (or field) asks for all of them.
+    const runStrategy = (strategy, allElements) => {
+      const elements = allElements
+        ? Array.from(root.querySelectorAll(strategy.selector))
+        : [root.querySelector(strategy.selector)].filter(Boolean);
+      
+      return elements.map(element => readElement(element, strategy)).filter(Boolean);
+    };
+    
+    for (const [field, definition] of Object.entries(fields)) {
+      fieldSources[field] = 'none';
+      
+      if (definition.collect) {
+        // Gather every value from every strategy, e.g. attributes. The source
+        // is the first strategy that contributed.
+        const values = [];
+        definition.strategies.forEach((strategy, index) => {
+          const found = runStrategy(strategy, true);
+          if (found.length > 0 && values.length === 0) {
+            fieldSources[field] = sourceLabel(strategy, index);
+          }
+          values.push(...found);
+        });
+        if (values.length > 0) {
+          details[field] = values.join(definition.join || ', ');
+        }
+      } else {
+        for (const [index, strategy] of definition.strategies.entries()) {
+          const values = runStrategy(strategy, strategy.all);
+          if (values.length > 0) {
+            details[field] = strategy.pick === 'last' ? values[values.length - 1] : values[0];
+            fieldSources[field] = sourceLabel(strategy, index);
+            break;
+          }
+        }
+      }
+      
+      if (details[field] === undefined && definition.default !== undefined) {
+        details[field] = definition.default;
+      }
+    }
+    
+    return { details, fieldSources };
+  };
+  
+  if (!cards) {
+    return [readRoot(document)];
+  }
+  
+  const results = [];
+  document.querySelectorAll(cards.card).forEach(card => {
+    if (cards.id) {
+      const id = card.getAttribute(cards.id);
+      if (id) {
+        results.push({ id, ...readRoot(card) });
+      }
+      return;
+    }
+    
+    const link = card.querySelector(cards.link);
+    if (link && link.href) {
+      results.push({ url: link.href, ...readRoot(card) });
+    }
+  });
+  return results;
+}
+
+// Function to extract detailed business information from a place page
+async function extractBusinessDetails(page) {
+  const { version, fields, popularTimes } = getSelectorRegistry();
+  
+  const [{ details: rawDetails, fieldSources }] = await page.evaluate(readFieldsInPage, fields, null);
+  const details = applyBusinessStatus(rawDetails);
+  
+  // The busyness histogram is bars rather than text fields
+  details.popularTimes = parsePopularTimes(await page.evaluate(readPopularTimesInPage, popularTimes), popularTimes);
+  
+  // Record which registry produced the data and how
+  details.selectorVersion = version;
+  details.fieldSources = fieldSources;
+  return details;
+}
+
+// Read the fields shown on the result cards currently in the feed, keyed by
+// place URL
+async function extractFeedCards(page) {
+  const { version, feedCards } = getSelectorRegistry();
+  
+  const cards = await page.evaluate(readFieldsInPage, feedCards.fields, {
+    card: feedCards.card,
+    link: feedCards.link
+  });
+  
+  const byUrl = new Map();
+  for (const { url, details, fieldSources } of cards) {
+    if (!byUrl.has(url)) {
+      const operationalStatus = operationalStatusFromText(details.operationalStatus);
+      byUrl.set(url, { ...details, operationalStatus, selectorVersion: version, fieldSources });
+    }
+  }
+  return byUrl;
+}
+
+// Read the review cards currently shown in a place's reviews tab, in order
+async function extractReviewCards(page) {
+  const { version, reviews } = getSelectorRegistry();
+  
+  const cards = await page.evaluate(readFieldsInPage, reviews.fields, {
+    card: reviews.card,
+    id: reviews.id
+  });
+  
+  return cards.map(({ id, details, fieldSources }) => ({ reviewId: id, ...details, selectorVersion: version, fieldSources }));
+}
+
+// Card fields for a listing whose card could not be read: every field is
+// marked missing
+function emptyFeedCard() {
+  const { version, feedCards } = getSelectorRegistry();
+  const card = { selectorVersion: version, fieldSources: {} };
+  
+  for (const [field, definition] of Object.entries(feedCards.fields)) {
+    card.fieldSources[field] = 'none';
+    if (definition.default !== undefined) {
+      card[field] = definition.default;
+    }
+  }
+  return card;
+}
+
+module.exports = {
+  collectListingUrls,
+  improvedAutoScroll,
+  extractBusinessDetails,
+  extractFeedCards,
+  extractReviewCards
+};
@@ -0,0 +1,181 @@
+// lib/hours.js - Parses opening hours text into per-day intervals
+//
+// The extractors return hours as one string, e.g.
+//   "Monday: 9 AM–5 PM; Tuesday: 11 AM–2 PM, 5–11 PM; Sunday: Closed"
+// `parseHours` turns that into
+//   { monday: [{ open: '09:00', close: '17:00' }], ..., sunday: [] }
+// with an empty list for closed days and null for days the text does not
+// mention. Intervals that run past midnight have `closesNextDay: true`.
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_ALIASES = {
+  mon: 'monday', tue: 'tuesday', tues: 'tuesday', wed: 'wednesday', thu: 'thursday', thur: 'thursday',
+  thurs: 'thursday', fri: 'friday', sat: 'saturday', sun: 'sunday'
+};
+const MINUTES_PER_DAY = 24 * 60;
+// A day name at the start of an entry, longest names first so "Tuesday" is
+// not read as "Tue"
+const DAY_PREFIX = new RegExp(`^\\s*(${DAYS.concat(Object.keys(DAY_ALIASES))
+  .sort((a, b) => b.length - a.length).join('|')})\\.?\\s*:?\\s*(.*)$`, 'i');
+
+function dayFromText(text) {
+  const word = text.trim().toLowerCase().replace(/\.$/, '');
+  if (DAYS.includes(word)) return word;
+  return DAY_ALIASES[word] || null;
+}
+
+// "9", "9:30", "21:00", "9 AM", "12:30 pm", "noon", "midnight" as minutes
+// since midnight and the meridiem it was written with (null for 24h times)
+function parseTime(text) {
+  const value = text.trim().toLowerCase().replace(/\./g, '');
+  if (value === 'noon') return { minutes: 12 * 60, meridiem: 'pm' };
+  if (value === 'midnight') return { minutes: 0, meridiem: 'am' };
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] || null;
+  if (minutes > 59 || hours > 24 || (meridiem && (hours < 1 || hours > 12))) return null;
+
+  if (meridiem) hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  return { minutes: hours * 60 + minutes, meridiem };
+}
+
+// Apply a meridiem to a time written without one, e.g. the "6" in "6–10 PM"
+function withMeridiem(time, meridiem) {
+  const hours = Math.floor(time.minutes / 60) % 12 + (meridiem === 'pm' ? 12 : 0);
+  return { minutes: hours * 60 + time.minutes % 60, meridiem };
+}
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// One "9 AM–5 PM" range as an interval, or null if it cannot be read
+function parseRange(text) {
+  const parts = text.split(/\s*(?:–|—|-|\bto\b)\s*/i);
+  if (parts.length !== 2) return null;
+
+  let open = parseTime(parts[0]);
+  const close = parseTime(parts[1]);
+  if (!open || !close) return null;
+
+  // "6–10 PM" shares the closing meridiem, unless that would put the opening
+  // after the closing, as in "11–2 PM"
+  if (!open.meridiem && close.meridiem && Math.floor(open.minutes / 60) <= 12) {
+    open = withMeridiem(open, close.meridiem);
+    if (open.minutes > close.minutes) {
+      open = withMeridiem(open, close.meridiem === 'pm' ? 'am' : 'pm');
+    }
+  }
+
+  // Closing at midnight or at 24:00 ends the day rather than starting it
+  const closeMinutes = close.minutes === 0 || close.minutes === MINUTES_PER_DAY ? MINUTES_PER_DAY : close.minutes;
+  const interval = { open: formatMinutes(open.minutes), close: formatMinutes(closeMinutes) };
+  if (closeMinutes <= open.minutes) {
+    interval.close = formatMinutes(close.minutes);
+    interval.closesNextDay = true;
+  }
+  return interval;
+}
+
+// The hours of one day: [] when closed, null when they cannot be read
+function parseDayHours(text) {
+  const value = text
+    .replace(/\(.*?\)/g, '')
+    .replace(/[\u00a0\u2009\u202f]/g, ' ')
+    .trim();
+  const lower = value.toLowerCase();
+
+  if (lower === 'closed') return [];
+  if (lower === 'open 24 hours' || lower === '24 hours' || lower === '00:00–24:00') {
+    return [{ open: '00:00', close: '24:00' }];
+  }
+
+  const intervals = value.split(/\s*[,;/]\s*/).filter(Boolean).map(parseRange);
+  return intervals.length > 0 && intervals.every(Boolean) ? intervals : null;
+}
+
+// Parse an hours string into { monday: [...], ..., sunday: [...] }. Returns
+// null when no day could be read, e.g. for "Open ⋅ Closes 5 PM".
+function parseHours(text) {
+  if (typeof text !== 'string' || text === 'N/A') return null;
+
+  const week = Object.fromEntries(DAYS.map(day => [day, null]));
+  let found = false;
+
+  // Entries are usually separated by ";", but raw panel text runs the days
+  // together ("Monday9 AM–5 PMTuesday...")
+  for (const entry of text.split(/\s*;\s*|\n+|(?=(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))/i)) {
+    const match = entry.match(DAY_PREFIX);
+    if (!match) continue;
+    const day = dayFromText(match[1]);
+
+    const intervals = parseDayHours(match[2]);
+    if (intervals) {
+      week[day] = intervals;
+      found = true;
+    }
+  }
+
+  return found ? week : null;
+}
+
+// One day's intervals as an export cell
+function formatDayHours(intervals) {
+  if (intervals === null || intervals === undefined) return '';
+  if (intervals.length === 0) return 'Closed';
+  if (intervals.length === 1 && intervals[0].open === '00:00' && intervals[0].close === '24:00') {
+    return 'Open 24 hours';
+  }
+  return intervals.map(({ open, close, closesNextDay }) => `${open}–${close}${closesNextDay ? ' (+1)' : ''}`).join(', ');
+}
+
+// Parse an `openAt` filter such as "tuesday 18:30", "Tue 6:30 PM" or
+// "sat@9am" into { day, minutes }. Throws with a message meant for the API caller.
+function parseOpenAt(value) {
+  const match = String(value || '').trim().match(/^([A-Za-z.]+)[\s@,T]+(.+)$/);
+  const day = match ? dayFromText(match[1]) : null;
+  const time = match ? parseTime(match[2]) : null;
+  if (!day || !time || time.minutes >= MINUTES_PER_DAY) {
+    throw new Error('openAt must be a weekday and a local time, e.g. "tuesday 18:30"');
+  }
+  return { day, minutes: time.minutes };
+}
+
+// Whether parsed hours say the place is open at { day, minutes }: true,
+// false, or null when the hours for that time are unknown
+function isOpenAt(week, { day, minutes }) {
+  if (!week) return null;
+
+  const previousDay = DAYS[(DAYS.indexOf(day) + DAYS.length - 1) % DAYS.length];
+  const today = week[day];
+  const yesterday = week[previousDay];
+
+  // Late-night hours from the day before
+  if (yesterday && yesterday.some(interval => interval.closesNextDay && minutes < toMinutes(interval.close))) {
+    return true;
+  }
+  if (today === null) return null;
+
+  return today.some((interval) => {
+    const open = toMinutes(interval.open);
+    return interval.closesNextDay ? minutes >= open : minutes >= open && minutes < toMinutes(interval.close);
+  });
+}
+
+module.exports = {
+  DAYS,
+  parseHours,
+  formatDayHours,
+  parseOpenAt,
+  isOpenAt
+};
@@ -0,0 +1,140 @@
+// lib/jobs.js - In-memory queue and registry of scrape jobs
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How many jobs may run at once; each running job drives its own browser pages
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1;
+// How many jobs are remembered before the oldest finished ones are dropped
+const MAX_STORED_JOBS = parseInt(process.env.MAX_STORED_JOBS, 10) || 50;
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+// Emits 'status' with the job whenever a job starts, completes or fails
+const jobEvents = new EventEmitter();
+
+// Create a job for the given parameters and queue it. `task(job)` does the
+// actual work and resolves with the final results array.
+function enqueueJob(params, task) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    params,
+    progress: {
+      total: 0,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      // Listings dropped as closed before their detail visit
+      skipped: 0
+    },
+    results: [],
+    // Which selector strategy filled each field, counted over the job's records
+    fieldSourceStats: {},
+    // Coverage of each map tile searched, for area searches
+    tiles: [],
+    // Outcome of each query/location search in the job
+    searches: [],
+    // Records merged into one business at the end of the job
+    duplicates: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  queue.push({ job, task });
+  pruneJobs();
+  processQueue();
+
+  return job;
+}
+
+// Start queued jobs while there are free slots
+function processQueue() {
+  while (runningCount < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    const { job, task } = queue.shift();
+    runningCount++;
+    runJob(job, task).finally(() => {
+      runningCount--;
+      processQueue();
+    });
+  }
+}
+
+async function runJob(job, task) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  console.log(`Job ${job.id} started`);
+  jobEvents.emit('status', job);
+
+  try {
+    const results = await task(job);
+    job.results = results;
+    job.status = 'completed';
+    console.log(`Job ${job.id} completed with ${results.length} results`);
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    jobEvents.emit('status', job);
+  }
+}
+
+// Drop the oldest finished jobs once we hold more than MAX_STORED_JOBS
+function pruneJobs() {
+  if (jobs.size <= MAX_STORED_JOBS) return;
+
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_STORED_JOBS) break;
+    if (job.status === 'completed' || job.status === 'failed') {
+      jobs.delete(id);
+    }
+  }
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Most recent jobs first
+function listJobs(limit = 20) {
+  return Array.from(jobs.values()).reverse().slice(0, limit);
+}
+
+// Public view of a job; results are left out of listings to keep them small
+function serializeJob(job, { includeResults = true } = {}) {
+  const view = {
+    id: job.id,
+    status: job.status,
+    params: job.params,
+    progress: { ...job.progress },
+    resultCount: job.results.length,
+    fieldSourceStats: job.fieldSourceStats,
+    tiles: job.tiles,
+    searches: job.searches,
+    duplicates: job.duplicates,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+
+  if (includeResults) {
+    view.results = job.results;
+  }
+
+  return view;
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  listJobs,
+  serializeJob,
+  jobEvents
+};
@@ -0,0 +1,270 @@
+// lib/mapsPayload.js - Reads place data out of the JSON payloads Google Maps
+// loads, as a second extraction path next to the DOM selectors
+//
+// Search results come from /search?tbm=map responses and place details from
+// /maps/preview/place responses, or from APP_INITIALIZATION_STATE when a
+// place URL is opened directly. All of them are nested arrays behind an
+// XSSI prefix. Positions in those arrays are stable for much longer than the
+// obfuscated class names in the DOM, and the numbers in them are exact.
+
+const XSSI_PREFIX = ")]}'";
+const { cidFromDataId } = require('./placeIdentity');
+
+// Maps' internal place ID, e.g. "0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2"
+const DATA_ID_PATTERN = /^0x[0-9a-f]+:0x[0-9a-f]+$/i;
+// Payloads can nest place arrays deeply, but not this deeply
+const MAX_SEARCH_DEPTH = 12;
+
+// Whether a response URL carries place data worth decoding
+function isPlacePayloadUrl(url) {
+  return url.includes('/maps/preview/place') ||
+    (url.includes('/search?') && url.includes('tbm=map'));
+}
+
+// Parse a payload body, unwrapping the {"d": "..."} envelope and the XSSI
+// prefix that Maps puts in front of the JSON
+function parsePayload(text) {
+  let body = text.trim();
+
+  if (body.endsWith('/*""*/')) {
+    body = body.slice(0, -'/*""*/'.length);
+  }
+  if (body.startsWith('{')) {
+    const envelope = JSON.parse(body);
+    if (typeof envelope.d !== 'string') return envelope;
+    body = envelope.d.trim();
+  }
+  if (body.startsWith(XSSI_PREFIX)) {
+    body = body.slice(XSSI_PREFIX.length);
+  }
+
+  return JSON.parse(body);
+}
+
+// Follow a path of indexes into nested arrays; null if any step is missing
+function dig(value, ...path) {
+  for (const index of path) {
+    if (!Array.isArray(value) || value[index] === undefined || value[index] === null) {
+      return null;
+    }
+    value = value[index];
+  }
+  return value;
+}
+
+// Place arrays carry the name at [11] and the data ID at [10]
+function isPlaceArray(value) {
+  return Array.isArray(value) &&
+    typeof value[11] === 'string' &&
+    typeof value[10] === 'string' &&
+    DATA_ID_PATTERN.test(value[10]);
+}
+
+// Every place array anywhere in a parsed payload
+function findPlaceArrays(node, found = [], depth = 0) {
+  if (!Array.isArray(node) || depth > MAX_SEARCH_DEPTH) return found;
+
+  if (isPlaceArray(node)) {
+    found.push(node);
+    return found;
+  }
+
+  for (const child of node) {
+    findPlaceArrays(child, found, depth + 1);
+  }
+  return found;
+}
+
+// Opening hours as "Monday: 9 AM–5 PM; Tuesday: ...", matching the DOM
+// extractor's format. Older payloads list the hour strings at [1], newer ones
+// as [text, [open, close]] pairs at [3].
+function decodeHours(days) {
+  if (!Array.isArray(days)) return null;
+
+  const lines = days.map((day) => {
+    const name = dig(day, 0);
+    let hours = dig(day, 1);
+    if (!Array.isArray(hours)) {
+      hours = (dig(day, 3) || []).map(slot => dig(slot, 0));
+    }
+    hours = hours.filter(text => typeof text === 'string');
+    return name && hours.length > 0 ? `${name}: ${hours.join(', ')}` : null;
+  }).filter(Boolean);
+
+  return lines.length > 0 ? lines.join('; ') : null;
+}
+
+// Map one place array onto our business fields. Fields the payload does not
+// have are left out rather than set to 'N/A'.
+function decodePlace(place) {
+  const addressLines = dig(place, 2);
+  const rating = dig(place, 4, 7);
+  const reviews = dig(place, 4, 8);
+  const dataId = dig(place, 10).toLowerCase();
+
+  const decoded = {
+    dataId,
+    name: dig(place, 11),
+    address: dig(place, 39) || (Array.isArray(addressLines) ? addressLines.join(', ') : null),
+    phone: dig(place, 178, 0, 0),
+    website: dig(place, 7, 0),
+    rating: typeof rating === 'number' ? String(rating) : null,
+    reviews: typeof reviews === 'number' ? reviews.toLocaleString('en-US') : null,
+    hours: decodeHours(dig(place, 34, 1)),
+    category: dig(place, 13, 0),
+    priceRange: dig(place, 4, 2),
+    latitude: dig(place, 9, 2),
+    longitude: dig(place, 9, 3),
+    placeId: dig(place, 78),
+    cid: cidFromDataId(dataId)
+  };
+
+  for (const [field, value] of Object.entries(decoded)) {
+    if (value === null || value === '') delete decoded[field];
+  }
+  return decoded;
+}
+
+// Decode every place in a payload body, keyed by data ID
+function decodePlacesFromPayload(text) {
+  const places = new Map();
+  try {
+    for (const place of findPlaceArrays(parsePayload(text))) {
+      const decoded = decodePlace(place);
+      // The first (most complete) entry for a place wins
+      if (!places.has(decoded.dataId)) {
+        places.set(decoded.dataId, decoded);
+      }
+    }
+  } catch (error) {
+    console.warn('Could not decode Maps payload:', error.message);
+  }
+  return places;
+}
+
+// The data ID embedded in a place URL ("!1s0x...:0x..."), if any
+function dataIdFromUrl(url) {
+  const match = url.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Listen for place payloads on a page. `settled()` waits for the bodies
+// already being read and resolves with every decoded place so far.
+function capturePlacePayloads(page) {
+  const places = new Map();
+  const pending = new Set();
+
+  page.on('response', (response) => {
+    if (!isPlacePayloadUrl(response.url())) return;
+
+    const reading = response.text()
+      .then((text) => {
+        for (const [dataId, place] of decodePlacesFromPayload(text)) {
+          if (!places.has(dataId)) places.set(dataId, place);
+        }
+      })
+      .catch(() => {
+        // The page navigated away or closed before the body was read
+      })
+      .finally(() => pending.delete(reading));
+    pending.add(reading);
+  });
+
+  return {
+    places,
+    async settled() {
+      while (pending.size > 0) {
+        await Promise.all(Array.from(pending));
+      }
+      return places;
+    }
+  };
+}
+
+// Places embedded in the page's APP_INITIALIZATION_STATE, which is where the
+// place data lives when a place URL is opened directly
+async function readInitialStatePlaces(page) {
+  const payloads = await page.evaluate((prefix) => {
+    const found = [];
+    const walk = (node, depth) => {
+      if (typeof node === 'string' && node.startsWith(prefix)) {
+        found.push(node);
+      } else if (Array.isArray(node) && depth < 4) {
+        node.forEach(child => walk(child, depth + 1));
+      }
+    };
+    walk(window.APP_INITIALIZATION_STATE, 0);
+    return found;
+  }, XSSI_PREFIX);
+
+  const places = new Map();
+  for (const payload of payloads) {
+    for (const [dataId, place] of decodePlacesFromPayload(payload)) {
+      if (!places.has(dataId)) places.set(dataId, place);
+    }
+  }
+  return places;
+}
+
+// Reduce a field value to a form that can be compared across sources
+function normalizeForComparison(field, value) {
+  const text = String(value).trim().toLowerCase();
+  switch (field) {
+    case 'rating':
+      return String(parseFloat(text.replace(',', '.')));
+    case 'reviews':
+    case 'phone':
+      return text.replace(/\D/g, '');
+    case 'website':
+      return text.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+    default:
+      return text.replace(/\s+/g, ' ');
+  }
+}
+
+// Fields checked between the payload and the DOM
+const CROSS_CHECK_FIELDS = ['name', 'address', 'phone', 'website', 'rating', 'reviews', 'category'];
+
+// Combine DOM details with decoded payload data. Payload values win where
+// present, the DOM fills in the rest, and fields where both have a value
+// that disagrees are listed in `crossCheck`. Fields the payload wins are
+// labeled "payload" in `fieldSources`, so selectors aren't credited for them.
+function mergePayloadWithDom(domDetails, payloadPlace) {
+  if (!payloadPlace) {
+    return { ...domDetails, payloadFields: [], crossCheck: [] };
+  }
+
+  const merged = { ...domDetails };
+  const fieldSources = { ...domDetails.fieldSources };
+  const payloadFields = [];
+  const crossCheck = [];
+
+  for (const [field, value] of Object.entries(payloadPlace)) {
+    if (field === 'dataId') continue;
+
+    const domValue = domDetails[field];
+    const domHasValue = domValue !== undefined && domValue !== 'N/A';
+
+    if (domHasValue && CROSS_CHECK_FIELDS.includes(field) &&
+        normalizeForComparison(field, domValue) !== normalizeForComparison(field, value)) {
+      crossCheck.push({ field, payload: value, dom: domValue });
+    }
+
+    merged[field] = value;
+    fieldSources[field] = 'payload';
+    payloadFields.push(field);
+  }
+
+  return { ...merged, fieldSources, payloadFields, crossCheck };
+}
+
+module.exports = {
+  isPlacePayloadUrl,
+  parsePayload,
+  decodePlace,
+  decodePlacesFromPayload,
+  dataIdFromUrl,
+  capturePlacePayloads,
+  readInitialStatePlaces,
+  mergePayloadWithDom
+};
@@ -0,0 +1,47 @@
+// lib/phone.js - Normalizes scraped phone numbers to E.164
+//
+// Maps shows phone numbers in the national format of the place, e.g.
+// "(212) 366-1182" or "020 7946 0958", so the country has to be known to read
+// them. It is taken from the place's address, falling back to the location
+// the search was run for and then to the region Maps was opened for.
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const { inferCountry } = require('./countries');
+
+const PHONE_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  MISSING: 'missing'
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'N/A';
+}
+
+// Normalize one phone number. Returns the E.164 `phone` ('N/A' when it cannot
+// be read), the text it was read from as `phoneDisplay`, and a `phoneStatus`.
+function normalizePhoneNumber(display, { country = null } = {}) {
+  if (isMissing(display)) {
+    return { phone: 'N/A', phoneDisplay: 'N/A', phoneStatus: PHONE_STATUS.MISSING };
+  }
+
+  const text = String(display).trim().replace(/^tel:/i, '');
+  const parsed = parsePhoneNumberFromString(text, country || undefined);
+  if (!parsed || !parsed.isValid()) {
+    return { phone: 'N/A', phoneDisplay: String(display), phoneStatus: PHONE_STATUS.INVALID };
+  }
+  return { phone: parsed.number, phoneDisplay: String(display), phoneStatus: PHONE_STATUS.VALID };
+}
+
+// Normalize the phone of a scraped record in place of the raw text. The
+// record's `country` is used when the address has been parsed already;
+// `region` is the Maps region (see mapsRegion), used as a last resort.
+function normalizeRecordPhone(record, { location = null, region = null } = {}) {
+  const country = isMissing(record.country) ? inferCountry(record.address, location) || region : record.country;
+  return { ...record, ...normalizePhoneNumber(record.phone, { country }) };
+}
+
+module.exports = {
+  PHONE_STATUS,
+  normalizePhoneNumber,
+  normalizeRecordPhone
+};
@@ -0,0 +1,76 @@
+// lib/placeIdentity.js - Coordinates and stable identifiers for places
+//
+// Place URLs from the results feed look like
+//   /maps/place/<name>/data=!4m7!3m6!1s0x89c2...:0x8e0f...!8m2!3d40.73!4d-74.00!16s...!19sChIJ...
+// where "!3d"/"!4d" hold the latitude and longitude, "!1s" the data ID (the
+// second half of which is the CID in hex) and "!19s" the Places API place ID.
+// `placeKey` turns these into the key records are deduplicated by.
+
+const COORDINATES_PATTERN = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/;
+const DATA_ID_PATTERN = /!1s(0x[0-9a-f]+):(0x[0-9a-f]+)/i;
+const PLACE_ID_PATTERN = /!19s(ChIJ[\w-]+)/;
+
+// The CID (the decimal "ludocid" Google uses in ?cid= links) of a data ID
+function cidFromDataId(dataId) {
+  const match = /^0x[0-9a-f]+:(0x[0-9a-f]+)$/i.exec(dataId || '');
+  return match ? BigInt(match[1]).toString() : null;
+}
+
+// Latitude, longitude, place ID and CID from a place URL. Anything the URL
+// does not carry is null.
+function parsePlaceUrl(url) {
+  const identity = { latitude: null, longitude: null, placeId: null, cid: null };
+  if (!url) return identity;
+
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch (error) {
+    // Keep the URL as it is if it is not validly encoded
+  }
+
+  // Only the place marker counts; the map center ("@lat,lng,zoomz") is where
+  // the viewport was, not where the place is
+  const coordinates = decoded.match(COORDINATES_PATTERN);
+  if (coordinates) {
+    identity.latitude = parseFloat(coordinates[1]);
+    identity.longitude = parseFloat(coordinates[2]);
+  }
+
+  const placeId = decoded.match(PLACE_ID_PATTERN);
+  if (placeId) {
+    identity.placeId = placeId[1];
+  }
+
+  const dataId = decoded.match(DATA_ID_PATTERN);
+  if (dataId) {
+    identity.cid = BigInt(dataId[2]).toString();
+  } else {
+    const cidParam = decoded.match(/[?&](?:cid|ludocid)=(\d+)/);
+    if (cidParam) identity.cid = cidParam[1];
+  }
+
+  return identity;
+}
+
+// Key that identifies the same place across listings, searches and runs:
+// the CID, else the place ID, else the URL without its query string. The CID
+// comes first because every place URL carries it, while the place ID is only
+// known when the URL or the Maps payload has it; either way a place gets the
+// same key.
+function placeKey(record) {
+  const fromUrl = record.url ? parsePlaceUrl(record.url) : { placeId: null, cid: null };
+  const known = value => (value && value !== 'N/A' ? value : null);
+  const cid = known(record.cid) || fromUrl.cid;
+  if (cid) return `cid:${cid}`;
+  const placeId = known(record.placeId) || fromUrl.placeId;
+  if (placeId) return `place:${placeId}`;
+  if (record.url) return `url:${record.url.split('?')[0]}`;
+  return null;
+}
+
+module.exports = {
+  cidFromDataId,
+  parsePlaceUrl,
+  placeKey
+};
@@ -0,0 +1,97 @@
+// lib/popularTimes.js - Reads the "Popular times" histogram of a place
+//
+// The detail panel draws one histogram per weekday, one bar per hour, each
+// with an aria-label such as "38% busy at 6 AM.". While a place is busy right
+// now, the bar for the current hour reads "Currently 45% busy, usually 60%
+// busy." instead. `parsePopularTimes` turns the labels into
+//   { days: { monday: [{ hour: 6, busyness: 38 }, ...], ... }, live }
+// where `live` is { day, hour, busyness, usual } or null. Days the panel
+// shows no bars for (closed days) are null. A day's histogram runs past
+// midnight, so small hours at the end of a day's list are that night.
+const { DAYS } = require('./hours');
+
+const HOUR_BAR = /(\d{1,3})\s?%\s+busy\s+at\s+(\d{1,2})(?::\d{2})?\s*([AP]M)?/i;
+const LIVE_BAR = /currently\s+(\d{1,3})\s?%\s+busy,?\s+usually\s+(\d{1,3})\s?%\s+busy/i;
+const DAY_NAME = new RegExp(`\\b(${DAYS.join('|')})s?\\b`, 'i');
+
+// Read the histogram labels inside the page: for each day, its own label and
+// the labels of its bars.
+//
+// This runs in the page through page.evaluate, so it must not use anything
+// from the surrounding module.
+function readPopularTimesInPage({ day, bar }) {
+  return Array.from(document.querySelectorAll(day)).map(element => ({
+    label: element.getAttribute('aria-label') || '',
+    bars: Array.from(element.querySelectorAll(bar)).map(barElement => barElement.getAttribute('aria-label') || '')
+  }));
+}
+
+function toHour(hour, meridiem) {
+  const value = parseInt(hour, 10);
+  if (!meridiem) return value % 24;
+  return (value % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+}
+
+// Parse the labels read by readPopularTimesInPage. Days are named by their
+// own label, or by position counting from `firstDay`. Returns null when the
+// place has no histogram.
+function parsePopularTimes(dayLabels, { firstDay = 'sunday' } = {}) {
+  if (!Array.isArray(dayLabels) || dayLabels.length === 0) return null;
+
+  const days = Object.fromEntries(DAYS.map(day => [day, null]));
+  let live = null;
+  const firstIndex = DAYS.indexOf(firstDay);
+
+  dayLabels.forEach(({ label, bars }, position) => {
+    const named = label.match(DAY_NAME);
+    const day = named ? named[1].toLowerCase() : DAYS[(firstIndex + position) % DAYS.length];
+    const hours = [];
+
+    for (const barLabel of bars) {
+      const hourBar = barLabel.match(HOUR_BAR);
+      if (hourBar) {
+        hours.push({ hour: toHour(hourBar[2], hourBar[3]), busyness: parseInt(hourBar[1], 10) });
+        continue;
+      }
+
+      // The live bar has no hour of its own; it follows the previous bar
+      const liveBar = barLabel.match(LIVE_BAR);
+      if (liveBar) {
+        const hour = hours.length > 0 ? (hours[hours.length - 1].hour + 1) % 24 : null;
+        const usual = parseInt(liveBar[2], 10);
+        live = { day, hour, busyness: parseInt(liveBar[1], 10), usual };
+        if (hour !== null) hours.push({ hour, busyness: usual });
+      }
+    }
+
+    if (hours.length > 0) days[day] = hours;
+  });
+
+  return Object.values(days).some(Boolean) ? { days, live } : null;
+}
+
+// One export row per day with a histogram: the business, the day and the
+// busyness of each hour under keys "h0" to "h23"
+function popularTimesRows(record) {
+  const popularTimes = record.popularTimes;
+  if (!popularTimes || !popularTimes.days) return [];
+
+  return DAYS.filter(day => popularTimes.days[day]).map((day) => {
+    const row = { name: record.name, placeId: record.placeId, day };
+    for (const { hour, busyness } of popularTimes.days[day]) {
+      row[`h${hour}`] = busyness;
+    }
+    const live = popularTimes.live;
+    if (live && live.day === day) {
+      row.liveHour = live.hour;
+      row.liveBusyness = live.busyness;
+    }
+    return row;
+  });
+}
+
+module.exports = {
+  readPopularTimesInPage,
+  parsePopularTimes,
+  popularTimesRows
+};
@@ -0,0 +1,150 @@
+// lib/reviews.js - Opens a place's reviews tab and collects its reviews
+//
+// Reviews load a page at a time as their list is scrolled, like the search
+// feed. `collectReviews` sorts the list as asked, then scrolls, expands long
+// reviews and reads the cards until it has enough or the list stops growing.
+// Each review is linked to its business by the business's place key.
+const { getSelectorRegistry } = require('./selectorRegistry');
+const { extractReviewCards } = require('./extractors');
+const { waitForNetworkQuiet } = require('./waits');
+const { placeKey } = require('./placeIdentity');
+
+const REVIEW_SORTS = ['relevant', 'newest', 'highest', 'lowest'];
+const MAX_REVIEWS_PER_PLACE = parseInt(process.env.MAX_REVIEWS_PER_PLACE, 10) || 200;
+const REVIEWS_TAB_TIMEOUT = 10000;
+const REVIEWS_GROWTH_TIMEOUT = 4000;
+// Scrolls in a row that may load nothing new before the list counts as done
+const MAX_STALLED_SCROLLS = 3;
+
+// Check scrape options for reviews. Throws with a message meant for the API caller.
+function parseReviewOptions({ maxReviews = 0, reviewSort = 'relevant' } = {}) {
+  const max = Number(maxReviews);
+  if (!Number.isInteger(max) || max < 0) {
+    throw new Error('maxReviews must be a whole number of reviews per place');
+  }
+  if (!REVIEW_SORTS.includes(reviewSort)) {
+    throw new Error(`reviewSort must be one of: ${REVIEW_SORTS.join(', ')}`);
+  }
+  return { maxReviews: Math.min(max, MAX_REVIEWS_PER_PLACE), reviewSort };
+}
+
+// Open the reviews tab. Resolves to false when the place has no reviews tab.
+async function openReviewsTab(page) {
+  const { tab, card } = getSelectorRegistry().reviews;
+  const tabButton = await page.$(tab);
+  if (!tabButton) return false;
+
+  await tabButton.click();
+  await page.waitForSelector(card, { timeout: REVIEWS_TAB_TIMEOUT });
+  return true;
+}
+
+// Pick a sort order from the reviews' sort menu. The list reloads afterwards.
+async function sortReviews(page, sort) {
+  if (sort === 'relevant') return;
+
+  const { sortButton, sortOption, sortLabels } = getSelectorRegistry().reviews;
+  await page.click(sortButton);
+  await page.waitForSelector(sortOption, { timeout: REVIEWS_TAB_TIMEOUT });
+
+  const picked = await page.evaluate((optionSelector, label, index) => {
+    const options = Array.from(document.querySelectorAll(optionSelector));
+    const option = options.find(element => element.textContent.trim().startsWith(label)) || options[index];
+    if (!option) return false;
+    option.click();
+    return true;
+  }, sortOption, sortLabels[sort], REVIEW_SORTS.indexOf(sort));
+
+  if (!picked) {
+    throw new Error(`Review sort option "${sort}" not found`);
+  }
+  await waitForNetworkQuiet(page);
+}
+
+// Expand every shortened review ("More") currently in the list
+async function expandReviews(page) {
+  await page.$$eval(getSelectorRegistry().reviews.expand, buttons => buttons.forEach(button => button.click()));
+}
+
+// Scroll the reviews list to its end, then wait for more cards than `count`
+async function loadMoreReviews(page, count) {
+  const { scrollContainer, card } = getSelectorRegistry().reviews;
+  await page.evaluate((containerSelector) => {
+    const container = document.querySelector(containerSelector);
+    if (container) container.scrollTop = container.scrollHeight;
+  }, scrollContainer);
+
+  try {
+    await page.waitForFunction(
+      (cardSelector, previousCount) => document.querySelectorAll(cardSelector).length > previousCount,
+      { timeout: REVIEWS_GROWTH_TIMEOUT, polling: 250 },
+      card,
+      count
+    );
+  } catch (error) {
+    if (error.name !== 'TimeoutError') throw error;
+  }
+}
+
+// A review card's fields as typed values
+function normalizeReview({ reviewId, author, stars, date, text, localGuide, ownerResponse }) {
+  const rating = parseFloat(String(stars).replace(',', '.'));
+  return {
+    reviewId,
+    author: author || 'N/A',
+    stars: Number.isNaN(rating) ? null : rating,
+    date: date || 'N/A',
+    text: text || '',
+    localGuide: Boolean(localGuide),
+    ownerResponse: ownerResponse || ''
+  };
+}
+
+// Collect up to `maxReviews` reviews from an open place page, in `sort` order
+async function collectReviews(page, { maxReviews, sort = 'relevant' }) {
+  if (maxReviews <= 0 || !(await openReviewsTab(page))) return [];
+  await sortReviews(page, sort);
+
+  const reviews = new Map();
+  let stalledScrolls = 0;
+
+  while (reviews.size < maxReviews && stalledScrolls < MAX_STALLED_SCROLLS) {
+    await expandReviews(page);
+    const before = reviews.size;
+    for (const card of await extractReviewCards(page)) {
+      if (!reviews.has(card.reviewId)) {
+        reviews.set(card.reviewId, normalizeReview(card));
+      }
+    }
+
+    stalledScrolls = reviews.size > before ? 0 : stalledScrolls + 1;
+    if (reviews.size < maxReviews) {
+      await loadMoreReviews(page, reviews.size);
+    }
+  }
+
+  return Array.from(reviews.values()).slice(0, maxReviews);
+}
+
+// Tag reviews with the business they belong to
+function linkReviews(record, reviews) {
+  return reviews.map(review => ({
+    ...review,
+    placeKey: placeKey(record),
+    businessName: record.name
+  }));
+}
+
+// All reviews of the given records as one list, for the reviews export
+function flattenReviews(records) {
+  return records.flatMap(record => linkReviews(record, Array.isArray(record.reviewList) ? record.reviewList : []));
+}
+
+module.exports = {
+  REVIEW_SORTS,
+  parseReviewOptions,
+  collectReviews,
+  normalizeReview,
+  linkReviews,
+  flattenReviews
+};
@@ -0,0 +1,145 @@
+// lib/runDiff.js - What changed between two runs of the same searches
+//
+// Businesses are matched across the runs by place (placeKey). The report
+// lists the businesses that are new in the later run, the ones that
+// disappeared from it, and, for businesses in both, changes to their rating,
+// review count, phone, website, opening hours and closed status.
+const { placeKey } = require('./placeIdentity');
+const { DAYS, parseHours, formatDayHours } = require('./hours');
+
+// Fields compared between runs, in report order
+const TRACKED_FIELDS = ['rating', 'reviews', 'phone', 'website', 'hours', 'operationalStatus'];
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'N/A';
+}
+
+function recordKey(record) {
+  return placeKey(record) || `name:${String(record.name).toLowerCase()}|${String(record.address).toLowerCase()}`;
+}
+
+// Counts such as "21,378" as numbers
+function toNumber(value) {
+  if (isMissing(value)) return null;
+  const number = parseFloat(String(value).replace(/[(),\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function websiteHost(website) {
+  if (isMissing(website)) return null;
+  return String(website).trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+}
+
+// The week as one comparable string; hours that don't parse are compared as text
+function weekText(record) {
+  const week = record.openingHours || parseHours(record.hours);
+  if (!week) return isMissing(record.hours) ? null : String(record.hours);
+  return DAYS.map(day => `${day} ${formatDayHours(week[day]) || '?'}`).join('; ');
+}
+
+// How each tracked field is read for comparison
+const COMPARABLE = {
+  rating: record => toNumber(record.rating),
+  reviews: record => toNumber(record.reviews),
+  phone: record => (isMissing(record.phone) ? null : record.phone),
+  website: record => websiteHost(record.website),
+  hours: weekText,
+  operationalStatus: record => (isMissing(record.operationalStatus) ? null : record.operationalStatus)
+};
+
+function display(value) {
+  return value === null ? 'N/A' : value;
+}
+
+// The changes to one business between two of its records, as
+// [{ field, before, after, delta }]. `delta` is set for numeric fields.
+function compareRecords(before, after) {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    const oldValue = COMPARABLE[field](before);
+    const newValue = COMPARABLE[field](after);
+    if (oldValue === newValue) continue;
+    // A rating, count, hours or status the later run could not read is not a
+    // change, but a phone number or website that is gone is
+    if (newValue === null && field !== 'website' && field !== 'phone') continue;
+
+    const numeric = typeof oldValue === 'number' && typeof newValue === 'number';
+    changes.push({
+      field,
+      before: display(oldValue),
+      after: display(newValue),
+      delta: numeric ? Math.round((newValue - oldValue) * 100) / 100 : null
+    });
+  }
+  return changes;
+}
+
+function summary(record) {
+  return {
+    placeKey: recordKey(record),
+    name: record.name,
+    address: record.address,
+    category: record.category,
+    rating: record.rating,
+    reviews: record.reviews,
+    operationalStatus: record.operationalStatus
+  };
+}
+
+// Compare the records of an earlier and a later run. Returns
+// { summary, added, removed, changed }, where `changed` holds
+// { placeKey, name, address, changes } for each business with changes.
+function diffRuns(previousRecords, currentRecords) {
+  const previous = new Map(previousRecords.map(record => [recordKey(record), record]));
+  const current = new Map(currentRecords.map(record => [recordKey(record), record]));
+
+  const added = [];
+  const changed = [];
+  for (const [key, record] of current) {
+    const before = previous.get(key);
+    if (!before) {
+      added.push(summary(record));
+      continue;
+    }
+    const changes = compareRecords(before, record);
+    if (changes.length > 0) {
+      changed.push({ placeKey: key, name: record.name, address: record.address, changes });
+    }
+  }
+  const removed = Array.from(previous)
+    .filter(([key]) => !current.has(key))
+    .map(([, record]) => summary(record));
+
+  return {
+    summary: {
+      previousBusinesses: previous.size,
+      currentBusinesses: current.size,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged: current.size - added.length - changed.length
+    },
+    added,
+    removed,
+    changed
+  };
+}
+
+// Identifies what a run searched for, so only runs of the same searches are
+// compared: its query/location pairs (in any order) and its area
+function searchSignature(params = {}) {
+  const pairs = (params.pairs || [])
+    .map(({ query, location }) => `${String(query || '').trim().toLowerCase()}|${String(location || '').trim().toLowerCase()}`)
+    .sort();
+  return JSON.stringify({ pairs, area: params.area || null });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  compareRecords,
+  diffRuns,
+  searchSignature
+};
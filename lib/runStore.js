@@ -0,0 +1,313 @@
+// lib/runStore.js - SQLite storage of scrape runs and their businesses
+//
+// Every job is kept as a run: its parameters, status, timing and searches,
+// and once it finishes, its business records, one row per place (keyed by
+// placeKey). The full record is stored as JSON; the fields runs are sorted
+// and filtered by get columns of their own.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { placeKey } = require('./placeIdentity');
+const { searchSignature } = require('./runDiff');
+
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'scraper.db');
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    params TEXT NOT NULL,
+    searches TEXT NOT NULL DEFAULT '[]',
+    business_count INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT,
+    duration_ms INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS runs_created_at ON runs (created_at);
+
+  CREATE TABLE IF NOT EXISTS businesses (
+    run_id TEXT NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    place_key TEXT NOT NULL,
+    name TEXT,
+    category TEXT,
+    rating REAL,
+    reviews INTEGER,
+    locality TEXT,
+    country TEXT,
+    phone TEXT,
+    website TEXT,
+    operational_status TEXT,
+    record TEXT NOT NULL,
+    PRIMARY KEY (run_id, place_key)
+  );
+`;
+
+// API names of the columns businesses can be sorted by
+const SORT_COLUMNS = {
+  name: 'name',
+  category: 'category',
+  rating: 'rating',
+  reviews: 'reviews',
+  locality: 'locality'
+};
+
+// Filters on a run's businesses: query parameter => SQL condition and how to
+// read its value. Text filters match the whole value, ignoring case, except
+// `q`, which matches part of the name.
+const FILTERS = {
+  q: { condition: "name LIKE '%' || ? || '%'", value: text => text },
+  category: { condition: 'category = ? COLLATE NOCASE', value: text => text },
+  locality: { condition: 'locality = ? COLLATE NOCASE', value: text => text },
+  country: { condition: 'country = ? COLLATE NOCASE', value: text => text },
+  operationalStatus: { condition: 'operational_status = ?', value: text => text.toUpperCase() },
+  minRating: { condition: 'rating >= ?', value: parseNumberFilter },
+  minReviews: { condition: 'reviews >= ?', value: parseNumberFilter },
+  hasWebsite: { condition: '(website IS NOT NULL) = ?', value: parseBooleanFilter },
+  hasPhone: { condition: '(phone IS NOT NULL) = ?', value: parseBooleanFilter }
+};
+
+let db = null;
+
+function parseNumberFilter(text, name) {
+  const value = Number(text);
+  if (text === '' || !Number.isFinite(value)) {
+    throw new Error(`${name} must be a number`);
+  }
+  return value;
+}
+
+function parseBooleanFilter(text, name) {
+  if (text !== 'true' && text !== 'false') {
+    throw new Error(`${name} must be "true" or "false"`);
+  }
+  return text === 'true' ? 1 : 0;
+}
+
+// Open the database, creating the file and tables if needed. The store opens
+// DATABASE_PATH by itself on first use; call this to use another file, or
+// ":memory:".
+function openRunStore(filename = DATABASE_PATH) {
+  closeRunStore();
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  db = new Database(filename);
+  if (filename !== ':memory:') {
+    db.pragma('journal_mode = WAL');
+  }
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  return db;
+}
+
+function closeRunStore() {
+  if (db !== null) {
+    db.close();
+    db = null;
+  }
+}
+
+// The open database, opening DATABASE_PATH on first use
+function getDatabase() {
+  return db || openRunStore();
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'N/A';
+}
+
+function textColumn(value) {
+  return isMissing(value) ? null : String(value);
+}
+
+// Counts such as "21,378" or "(1,204)" are read as plain numbers
+function numberColumn(value) {
+  if (isMissing(value)) return null;
+  if (typeof value === 'number') return value;
+  const number = parseFloat(String(value).replace(/[(),\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function businessKey(record) {
+  return placeKey(record) || `name:${record.name}|${record.address}`;
+}
+
+function runFromRow(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    params: JSON.parse(row.params),
+    searches: JSON.parse(row.searches),
+    businessCount: row.business_count,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms
+  };
+}
+
+// Store a job as a run, replacing what was stored for it before. The records
+// of finished jobs (partial ones for failed jobs) replace the run's businesses.
+function saveRun(job) {
+  const store = getDatabase();
+  const finished = job.status === 'completed' || job.status === 'failed';
+  const durationMs = job.startedAt && job.finishedAt
+    ? new Date(job.finishedAt).getTime() - new Date(job.startedAt).getTime()
+    : null;
+
+  const upsertRun = store.prepare(`
+    INSERT INTO runs (id, status, params, searches, business_count, error, created_at, started_at, finished_at, duration_ms)
+    VALUES (@id, @status, @params, @searches, @businessCount, @error, @createdAt, @startedAt, @finishedAt, @durationMs)
+    ON CONFLICT (id) DO UPDATE SET
+      status = excluded.status, params = excluded.params, searches = excluded.searches,
+      business_count = excluded.business_count, error = excluded.error, started_at = excluded.started_at,
+      finished_at = excluded.finished_at, duration_ms = excluded.duration_ms
+  `);
+  const insertBusiness = store.prepare(`
+    INSERT OR REPLACE INTO businesses
+      (run_id, place_key, name, category, rating, reviews, locality, country, phone, website, operational_status, record)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  store.transaction(() => {
+    upsertRun.run({
+      id: job.id,
+      status: job.status,
+      params: JSON.stringify(job.params),
+      searches: JSON.stringify(job.searches || []),
+      businessCount: finished ? job.results.length : 0,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs
+    });
+
+    if (!finished) return;
+    store.prepare('DELETE FROM businesses WHERE run_id = ?').run(job.id);
+    for (const record of job.results) {
+      insertBusiness.run(
+        job.id,
+        businessKey(record),
+        textColumn(record.name),
+        textColumn(record.category),
+        numberColumn(record.rating),
+        numberColumn(record.reviews),
+        textColumn(record.locality),
+        textColumn(record.country),
+        textColumn(record.phone),
+        textColumn(record.website),
+        textColumn(record.operationalStatus),
+        JSON.stringify(record)
+      );
+    }
+    // Several records of one place count once
+    store.prepare('UPDATE runs SET business_count = (SELECT COUNT(*) FROM businesses WHERE run_id = ?) WHERE id = ?').run(job.id, job.id);
+  })();
+}
+
+// Page size and offset from query parameters, within bounds
+function parsePaging({ limit, offset } = {}) {
+  const pageSize = parseInt(limit, 10);
+  const start = parseInt(offset, 10);
+  return {
+    limit: Number.isFinite(pageSize) && pageSize > 0 ? Math.min(pageSize, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: Number.isFinite(start) && start > 0 ? start : 0
+  };
+}
+
+// Most recent runs first, as { total, runs }
+function listRuns(query = {}) {
+  const store = getDatabase();
+  const { limit, offset } = parsePaging(query);
+  const { total } = store.prepare('SELECT COUNT(*) AS total FROM runs').get();
+  const rows = store.prepare('SELECT * FROM runs ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?').all(limit, offset);
+  return { total, limit, offset, runs: rows.map(runFromRow) };
+}
+
+function getRun(id) {
+  const row = getDatabase().prepare('SELECT * FROM runs WHERE id = ?').get(id);
+  return row ? runFromRow(row) : null;
+}
+
+// A page of a run's businesses as { total, businesses }. `query` holds the
+// paging (`limit`, `offset`), sorting (`sort`, `order`) and FILTERS query
+// parameters. Invalid parameters throw.
+function listRunBusinesses(runId, query = {}) {
+  const store = getDatabase();
+  const { limit, offset } = parsePaging(query);
+
+  const sort = query.sort || 'name';
+  if (!SORT_COLUMNS[sort]) {
+    throw new Error(`Sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+  }
+  const order = (query.order || 'asc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error('Order must be "asc" or "desc"');
+  }
+
+  const conditions = ['run_id = ?'];
+  const values = [runId];
+  for (const [name, filter] of Object.entries(FILTERS)) {
+    if (query[name] === undefined) continue;
+    conditions.push(filter.condition);
+    values.push(filter.value(String(query[name]), name));
+  }
+  const where = conditions.join(' AND ');
+
+  const { total } = store.prepare(`SELECT COUNT(*) AS total FROM businesses WHERE ${where}`).get(...values);
+  // Businesses without a value for the sort column come last either way
+  const rows = store.prepare(`
+    SELECT place_key, record FROM businesses WHERE ${where}
+    ORDER BY ${SORT_COLUMNS[sort]} IS NULL, ${SORT_COLUMNS[sort]} ${order.toUpperCase()}, name ASC
+    LIMIT ? OFFSET ?
+  `).all(...values, limit, offset);
+
+  return {
+    total,
+    limit,
+    offset,
+    businesses: rows.map(row => ({ placeKey: row.place_key, ...JSON.parse(row.record) }))
+  };
+}
+
+// Every business record of a run, e.g. for exports
+function getRunRecords(runId) {
+  return getDatabase()
+    .prepare('SELECT record FROM businesses WHERE run_id = ? ORDER BY rowid')
+    .all(runId)
+    .map(row => JSON.parse(row.record));
+}
+
+// The latest completed run of the same searches created before `run`, or null
+function findPreviousRun(run) {
+  const signature = searchSignature(run.params);
+  const rows = getDatabase()
+    .prepare("SELECT * FROM runs WHERE status = 'completed' AND id != ? AND created_at < ? ORDER BY created_at DESC")
+    .all(run.id, run.createdAt);
+  const row = rows.find(candidate => searchSignature(JSON.parse(candidate.params)) === signature);
+  return row ? runFromRow(row) : null;
+}
+
+// Delete a run and its businesses. Returns whether there was such a run.
+function deleteRun(id) {
+  return getDatabase().prepare('DELETE FROM runs WHERE id = ?').run(id).changes > 0;
+}
+
+module.exports = {
+  openRunStore,
+  closeRunStore,
+  getDatabase,
+  saveRun,
+  listRuns,
+  getRun,
+  listRunBusinesses,
+  getRunRecords,
+  findPreviousRun,
+  deleteRun
+};
@@ -0,0 +1,300 @@
+// lib/scheduler.js - Saved searches that run on a cron schedule
+//
+// A schedule holds a saved scrape request (`search`, the body POST /api/scrape
+// takes), a cron expression and the timezone it is read in, e.g. "0 6 * * 1"
+// in "Europe/Berlin" for Mondays at 06:00 there. Schedules and a log of their
+// executions are kept in the run database. Each execution starts a scrape job
+// through the function given to startScheduler, unless the job the schedule
+// started last is still queued or running; that execution is logged as
+// skipped instead.
+const crypto = require('crypto');
+const { Cron } = require('croner');
+const { getDatabase } = require('./runStore');
+const { getJob } = require('./jobs');
+
+const UPCOMING_RUNS = 5;
+
+const EXECUTION_STATUS = {
+  STARTED: 'started',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    timezone TEXT NOT NULL,
+    search TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS schedule_executions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id TEXT NOT NULL REFERENCES schedules (id) ON DELETE CASCADE,
+    job_id TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    scheduled_for TEXT NOT NULL,
+    executed_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS schedule_executions_schedule ON schedule_executions (schedule_id, id);
+`;
+
+// Executions with the status of the run each one started
+const SELECT_EXECUTIONS = `
+  SELECT schedule_executions.*, runs.status AS run_status, runs.business_count, runs.finished_at
+  FROM schedule_executions LEFT JOIN runs ON runs.id = schedule_executions.job_id
+`;
+
+// Databases the schedule tables have been created in
+const preparedDatabases = new WeakSet();
+// Armed cron timers by schedule ID, while the scheduler runs
+const timers = new Map();
+let runSearch = null;
+
+function database() {
+  const db = getDatabase();
+  if (!preparedDatabases.has(db)) {
+    db.exec(SCHEMA);
+    preparedDatabases.add(db);
+  }
+  return db;
+}
+
+function scheduleFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    timezone: row.timezone,
+    search: JSON.parse(row.search),
+    enabled: row.enabled === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function executionFromRow(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    jobId: row.job_id,
+    status: row.status,
+    error: row.error,
+    scheduledFor: row.scheduled_for,
+    executedAt: row.executed_at,
+    // The run the execution started, once it has been stored
+    run: row.run_status === null ? null : {
+      status: row.run_status,
+      businessCount: row.business_count,
+      finishedAt: row.finished_at
+    }
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a schedule's fields, filling in defaults. `search` is checked by the
+// caller. Throws with a message meant for the API caller.
+function parseScheduleInput(input, existing = null) {
+  const schedule = {
+    name: existing ? existing.name : undefined,
+    cron: existing ? existing.cron : undefined,
+    timezone: existing ? existing.timezone : 'UTC',
+    search: existing ? existing.search : undefined,
+    enabled: existing ? existing.enabled : true
+  };
+  for (const field of Object.keys(schedule)) {
+    if (input[field] !== undefined) schedule[field] = input[field];
+  }
+
+  if (typeof schedule.name !== 'string' || schedule.name.trim() === '') {
+    throw new Error('Schedule name is required');
+  }
+  schedule.name = schedule.name.trim();
+  if (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone)) {
+    throw new Error(`Unknown timezone: ${schedule.timezone}`);
+  }
+  if (typeof schedule.cron !== 'string' || schedule.cron.trim() === '') {
+    throw new Error('Cron expression is required, e.g. "0 6 * * 1" for Mondays at 06:00');
+  }
+  schedule.cron = schedule.cron.trim();
+  try {
+    new Cron(schedule.cron, { timezone: schedule.timezone, paused: true }).stop();
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${schedule.cron}": ${error.message}`);
+  }
+  if (!schedule.search || typeof schedule.search !== 'object' || Array.isArray(schedule.search)) {
+    throw new Error('Search is required');
+  }
+  if (typeof schedule.enabled !== 'boolean') {
+    throw new Error('Enabled must be true or false');
+  }
+  return schedule;
+}
+
+// The next `count` times a schedule runs, as ISO strings; none while disabled
+function upcomingRuns(schedule, count = UPCOMING_RUNS, from = new Date()) {
+  if (!schedule.enabled) return [];
+  const cron = new Cron(schedule.cron, { timezone: schedule.timezone, paused: true });
+  const runs = cron.nextRuns(count, from).map(date => date.toISOString());
+  cron.stop();
+  return runs;
+}
+
+function listSchedules() {
+  return database().prepare('SELECT * FROM schedules ORDER BY created_at, rowid').all().map(scheduleFromRow);
+}
+
+function getSchedule(id) {
+  const row = database().prepare('SELECT * FROM schedules WHERE id = ?').get(id);
+  return row ? scheduleFromRow(row) : null;
+}
+
+function createSchedule(input) {
+  const fields = parseScheduleInput(input);
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  database().prepare(`
+    INSERT INTO schedules (id, name, cron, timezone, search, enabled, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, fields.name, fields.cron, fields.timezone, JSON.stringify(fields.search), fields.enabled ? 1 : 0, now, now);
+
+  const schedule = getSchedule(id);
+  armSchedule(schedule);
+  return schedule;
+}
+
+// Change some of a schedule's fields. Returns null when there is no such schedule.
+function updateSchedule(id, input) {
+  const existing = getSchedule(id);
+  if (!existing) return null;
+
+  const fields = parseScheduleInput(input, existing);
+  database().prepare(`
+    UPDATE schedules SET name = ?, cron = ?, timezone = ?, search = ?, enabled = ?, updated_at = ? WHERE id = ?
+  `).run(fields.name, fields.cron, fields.timezone, JSON.stringify(fields.search), fields.enabled ? 1 : 0, new Date().toISOString(), id);
+
+  const schedule = getSchedule(id);
+  armSchedule(schedule);
+  return schedule;
+}
+
+// Delete a schedule and its execution log. Runs it started are kept.
+function deleteSchedule(id) {
+  disarmSchedule(id);
+  return database().prepare('DELETE FROM schedules WHERE id = ?').run(id).changes > 0;
+}
+
+// Past executions of a schedule, most recent first
+function listExecutions(scheduleId, { limit = 20 } = {}) {
+  return database()
+    .prepare(`${SELECT_EXECUTIONS} WHERE schedule_id = ? ORDER BY schedule_executions.id DESC LIMIT ?`)
+    .all(scheduleId, limit)
+    .map(executionFromRow);
+}
+
+function recordExecution(scheduleId, { status, jobId = null, error = null, scheduledFor }) {
+  const db = database();
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO schedule_executions (schedule_id, job_id, status, error, scheduled_for, executed_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(scheduleId, jobId, status, error, scheduledFor.toISOString(), new Date().toISOString());
+  return executionFromRow(db.prepare(`${SELECT_EXECUTIONS} WHERE schedule_executions.id = ?`).get(lastInsertRowid));
+}
+
+// Run a schedule's search now. `run(schedule)` starts the scrape and returns
+// its job; it defaults to the function the scheduler was started with.
+// Resolves to the logged execution, or null when there is no such schedule.
+function executeSchedule(id, { run = runSearch, scheduledFor = new Date() } = {}) {
+  const schedule = getSchedule(id);
+  if (!schedule) return null;
+
+  // Overlap protection: a schedule has at most one job queued or running
+  const previous = database()
+    .prepare('SELECT job_id FROM schedule_executions WHERE schedule_id = ? AND job_id IS NOT NULL ORDER BY id DESC LIMIT 1')
+    .get(id);
+  const previousJob = previous ? getJob(previous.job_id) : null;
+  if (previousJob && (previousJob.status === 'queued' || previousJob.status === 'running')) {
+    console.log(`Schedule "${schedule.name}" skipped: job ${previousJob.id} is still ${previousJob.status}`);
+    return recordExecution(id, {
+      status: EXECUTION_STATUS.SKIPPED,
+      error: `Previous run ${previousJob.id} is still ${previousJob.status}`,
+      scheduledFor
+    });
+  }
+
+  try {
+    if (!run) {
+      throw new Error('Scheduler is not running');
+    }
+    const job = run(schedule);
+    console.log(`Schedule "${schedule.name}" started job ${job.id}`);
+    return recordExecution(id, { status: EXECUTION_STATUS.STARTED, jobId: job.id, scheduledFor });
+  } catch (error) {
+    console.error(`Schedule "${schedule.name}" failed to start:`, error.message);
+    return recordExecution(id, { status: EXECUTION_STATUS.FAILED, error: error.message, scheduledFor });
+  }
+}
+
+function disarmSchedule(id) {
+  const timer = timers.get(id);
+  if (timer) {
+    timer.stop();
+    timers.delete(id);
+  }
+}
+
+// (Re)start the cron timer of a schedule, if the scheduler runs and the
+// schedule is enabled
+function armSchedule(schedule) {
+  disarmSchedule(schedule.id);
+  if (runSearch === null || !schedule.enabled) return;
+
+  const timer = new Cron(schedule.cron, { timezone: schedule.timezone }, () => {
+    executeSchedule(schedule.id, { scheduledFor: new Date() });
+  });
+  timers.set(schedule.id, timer);
+}
+
+// Arm every enabled schedule. `run(schedule)` starts a scrape job for a
+// schedule's search and returns the job; it may throw.
+function startScheduler(run) {
+  stopScheduler();
+  runSearch = run;
+  const schedules = listSchedules();
+  schedules.forEach(armSchedule);
+  console.log(`Scheduler: ${schedules.filter(schedule => schedule.enabled).length} schedules armed`);
+}
+
+function stopScheduler() {
+  for (const id of Array.from(timers.keys())) {
+    disarmSchedule(id);
+  }
+  runSearch = null;
+}
+
+module.exports = {
+  EXECUTION_STATUS,
+  upcomingRuns,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listExecutions,
+  executeSchedule,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,106 @@
+// lib/selectorRegistry.js - Versioned registry of the selectors used to read
+// Google Maps pages
+//
+// The registry lives in a JSON file (config/selectors.json by default) so a
+// Google DOM change can be handled by editing the file and reloading it,
+// without a deploy. Every field lists ordered strategies; see the file itself
+// for the strategy format.
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = process.env.SELECTOR_REGISTRY_PATH || path.join(__dirname, '..', 'config', 'selectors.json');
+
+let registry = null;
+
+// Read and validate the registry file. Throws with a description of the first
+// problem found, leaving the current registry untouched.
+function readRegistry(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (typeof parsed.version !== 'string' || !parsed.version) {
+    throw new Error('Selector registry needs a "version" string');
+  }
+  if (!parsed.waits || !parsed.waits.placeLink || !parsed.waits.placeHeading || !parsed.waits.feedEnd) {
+    throw new Error('Selector registry needs "waits.placeLink", "waits.placeHeading" and "waits.feedEnd"');
+  }
+  for (const list of ['listingLinks', 'scrollContainers']) {
+    if (!Array.isArray(parsed[list]) || parsed[list].length === 0) {
+      throw new Error(`Selector registry needs a non-empty "${list}" array`);
+    }
+  }
+  if (!parsed.fields || typeof parsed.fields !== 'object') {
+    throw new Error('Selector registry needs a "fields" object');
+  }
+  if (!parsed.feedCards || !parsed.feedCards.card || !parsed.feedCards.link ||
+      !parsed.feedCards.fields || typeof parsed.feedCards.fields !== 'object') {
+    throw new Error('Selector registry needs "feedCards.card", "feedCards.link" and a "feedCards.fields" object');
+  }
+
+  const { popularTimes, reviews } = parsed;
+  if (!popularTimes || !popularTimes.day || !popularTimes.bar || !popularTimes.firstDay) {
+    throw new Error('Selector registry needs "popularTimes.day", "popularTimes.bar" and "popularTimes.firstDay"');
+  }
+  if (!reviews || !reviews.tab || !reviews.sortButton || !reviews.sortOption || !reviews.scrollContainer ||
+      !reviews.expand || !reviews.card || !reviews.id || !reviews.sortLabels ||
+      !reviews.fields || typeof reviews.fields !== 'object') {
+    throw new Error('Selector registry needs a "reviews" section with "tab", "sortButton", "sortOption", "sortLabels", ' +
+      '"scrollContainer", "expand", "card", "id" and a "fields" object');
+  }
+
+  validateFields(parsed.fields, 'Field');
+  validateFields(parsed.feedCards.fields, 'Feed card field');
+  validateFields(reviews.fields, 'Review field');
+
+  return parsed;
+}
+
+// Check every field's strategies, naming problems as e.g. `Field "phone"`
+function validateFields(fields, label) {
+  for (const [field, definition] of Object.entries(fields)) {
+    if (!Array.isArray(definition.strategies) || definition.strategies.length === 0) {
+      throw new Error(`${label} "${field}" needs a non-empty "strategies" array`);
+    }
+    definition.strategies.forEach((strategy, index) => {
+      const where = `${label} "${field}" strategy ${index}`;
+      if (!strategy.selector) {
+        throw new Error(`${where} needs a "selector"`);
+      }
+      if (!strategy.rows && (!Array.isArray(strategy.sources) || strategy.sources.length === 0)) {
+        throw new Error(`${where} needs either "sources" or "rows"`);
+      }
+      // Make sure every pattern compiles here rather than inside the page
+      const patterns = [strategy]
+        .concat((strategy.sources || []).filter(source => typeof source === 'object'));
+      for (const { pattern, reject, flags } of patterns) {
+        try {
+          if (pattern) new RegExp(pattern, flags);
+          if (reject) new RegExp(reject, flags);
+        } catch (error) {
+          throw new Error(`${where} has an invalid pattern: ${error.message}`);
+        }
+      }
+    });
+  }
+}
+
+// Load (or reload) the registry from disk and make it the current one
+function loadSelectorRegistry(filePath = REGISTRY_PATH) {
+  const loaded = readRegistry(filePath);
+  const previousVersion = registry ? registry.version : null;
+  registry = loaded;
+  console.log(`Loaded selector registry version ${registry.version}` +
+    (previousVersion ? ` (was ${previousVersion})` : ''));
+  return registry;
+}
+
+function getSelectorRegistry() {
+  if (!registry) {
+    loadSelectorRegistry();
+  }
+  return registry;
+}
+
+module.exports = {
+  loadSelectorRegistry,
+  getSelectorRegistry
+};
@@ -0,0 +1,136 @@
+// lib/selectorTelemetry.js - Tracks which selector strategy filled each field
+//
+// `extractBusinessDetails` labels every field with the strategy that produced
+// it ("selector:<index>", "fallback:<index>" or "none"), or "payload" when
+// the value came from Maps' own payloads instead. This module counts those
+// labels per job and per hour, and warns when a field's primary
+// (non-fallback) strategies stop filling it as often as they should. Payload
+// values say nothing about the selectors, so they are left out of that check.
+const { getSelectorRegistry } = require('./selectorRegistry');
+
+// Default share of records a field's primary strategies should fill; fields
+// can override it with "minPrimaryRate" in the registry (0 turns it off)
+const DEFAULT_MIN_PRIMARY_RATE = parseFloat(process.env.SELECTOR_ALERT_THRESHOLD) || 0.7;
+// Recent records per field used to compute the live hit rate
+const ROLLING_WINDOW = 50;
+// Records needed in the window before a warning can be raised
+const MIN_SAMPLES = 20;
+// Hourly buckets kept for the over-time view (one week)
+const MAX_HOURLY_BUCKETS = 24 * 7;
+// Feed card fields are recorded as "feedCard.<field>" so they are not mixed
+// up with the detail page fields of the same name
+const FEED_CARD_FIELD_PREFIX = 'feedCard.';
+
+const hourlyBuckets = new Map();
+const rollingWindows = new Map();
+const activeAlerts = new Map();
+
+function sourceKind(label) {
+  if (label === 'none' || label === 'payload') return label;
+  return label.split(':')[0] === 'fallback' ? 'fallback' : 'primary';
+}
+
+// Add one record's field sources to a stats object of the form
+// { field: { total, primary, fallback, none, payload, sources: { label: count } } }
+function addFieldSources(stats, fieldSources) {
+  for (const [field, label] of Object.entries(fieldSources)) {
+    if (!stats[field]) {
+      stats[field] = { total: 0, primary: 0, fallback: 0, none: 0, payload: 0, sources: {} };
+    }
+    const fieldStats = stats[field];
+    fieldStats.total++;
+    fieldStats[sourceKind(label)]++;
+    fieldStats.sources[label] = (fieldStats.sources[label] || 0) + 1;
+  }
+  return stats;
+}
+
+// Record a scraped record's field sources in the hourly history and check
+// each field's rolling primary hit rate
+function recordFieldSources(fieldSources, registryVersion) {
+  const hour = new Date().toISOString().slice(0, 13) + ':00:00Z';
+  if (!hourlyBuckets.has(hour)) {
+    hourlyBuckets.set(hour, { hour, records: 0, registryVersions: [], fields: {} });
+    if (hourlyBuckets.size > MAX_HOURLY_BUCKETS) {
+      hourlyBuckets.delete(hourlyBuckets.keys().next().value);
+    }
+  }
+
+  const bucket = hourlyBuckets.get(hour);
+  bucket.records++;
+  if (registryVersion && !bucket.registryVersions.includes(registryVersion)) {
+    bucket.registryVersions.push(registryVersion);
+  }
+  addFieldSources(bucket.fields, fieldSources);
+
+  for (const [field, label] of Object.entries(fieldSources)) {
+    if (sourceKind(label) === 'payload') continue;
+    if (!rollingWindows.has(field)) rollingWindows.set(field, []);
+    const window = rollingWindows.get(field);
+    window.push(sourceKind(label) === 'primary');
+    if (window.length > ROLLING_WINDOW) window.shift();
+    checkField(field, window, registryVersion);
+  }
+}
+
+function minPrimaryRate(field) {
+  const registry = getSelectorRegistry();
+  const definition = field.startsWith(FEED_CARD_FIELD_PREFIX)
+    ? registry.feedCards.fields[field.slice(FEED_CARD_FIELD_PREFIX.length)]
+    : registry.fields[field];
+  return definition && definition.minPrimaryRate !== undefined ? definition.minPrimaryRate : DEFAULT_MIN_PRIMARY_RATE;
+}
+
+// Warn once when a field's primary hit rate falls below its threshold, and
+// again when it recovers
+function checkField(field, window, registryVersion) {
+  const threshold = minPrimaryRate(field);
+  if (threshold <= 0 || window.length < MIN_SAMPLES) return;
+
+  const primaryRate = window.filter(Boolean).length / window.length;
+
+  if (primaryRate < threshold && !activeAlerts.has(field)) {
+    const alert = {
+      field,
+      primaryRate: Number(primaryRate.toFixed(2)),
+      threshold,
+      registryVersion,
+      since: new Date().toISOString()
+    };
+    activeAlerts.set(field, alert);
+    console.warn(`Selector drift: primary selectors filled "${field}" in ${Math.round(primaryRate * 100)}% of the last ${window.length} records (threshold ${Math.round(threshold * 100)}%, registry ${registryVersion})`);
+  } else if (primaryRate >= threshold && activeAlerts.has(field)) {
+    activeAlerts.delete(field);
+    console.log(`Selector drift resolved: primary selectors fill "${field}" in ${Math.round(primaryRate * 100)}% of records again`);
+  }
+}
+
+// Everything collected so far: hourly history for the last `hours` hours,
+// current rolling hit rates and active drift alerts
+function getSelectorTelemetry({ hours = 24 } = {}) {
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const history = Array.from(hourlyBuckets.values()).filter(bucket => bucket.hour >= cutoff.slice(0, 13));
+
+  const rolling = {};
+  for (const [field, window] of rollingWindows) {
+    rolling[field] = {
+      samples: window.length,
+      primaryRate: Number((window.filter(Boolean).length / window.length).toFixed(2)),
+      threshold: minPrimaryRate(field)
+    };
+  }
+
+  return {
+    registryVersion: getSelectorRegistry().version,
+    rolling,
+    alerts: Array.from(activeAlerts.values()),
+    history
+  };
+}
+
+module.exports = {
+  FEED_CARD_FIELD_PREFIX,
+  addFieldSources,
+  recordFieldSources,
+  getSelectorTelemetry
+};
@@ -0,0 +1,144 @@
+// lib/tiling.js - Splits a search area into map viewports
+//
+// A single Maps search stops loading results at around 120 places, so large
+// areas are searched tile by tile: the area is cut into a grid, each tile is
+// opened as a "/maps/search/<query>/@lat,lng,zoomz" viewport, and tiles that
+// come back full are split into four and searched again.
+
+// Meters per pixel at zoom 0 on the equator
+const METERS_PER_PIXEL_AT_ZOOM_0 = 156543.03392;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+// Part of the default 1920x1080 page that shows the map rather than the
+// results panel
+const MAP_VIEWPORT = { width: 1500, height: 1000 };
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 21;
+// Largest area a request may cover, so a typo cannot start a country-wide crawl
+const MAX_RADIUS_KM = 50;
+const MAX_GRID_SIZE = 6;
+
+// Validate an area from a request and turn it into bounds. Accepts either
+// { bounds: { north, south, east, west } } or { center: { lat, lng }, radiusKm }.
+// Throws with a message meant for the API caller.
+function parseArea(area) {
+  if (!area || typeof area !== 'object') {
+    throw new Error('Area must be an object with "bounds" or "center" and "radiusKm"');
+  }
+
+  let bounds;
+  if (area.bounds) {
+    const { north, south, east, west } = area.bounds;
+    bounds = { north: Number(north), south: Number(south), east: Number(east), west: Number(west) };
+    if (Object.values(bounds).some(value => !Number.isFinite(value))) {
+      throw new Error('Bounds need numeric "north", "south", "east" and "west"');
+    }
+    if (bounds.north <= bounds.south || bounds.east <= bounds.west) {
+      throw new Error('Bounds need north > south and east > west');
+    }
+  } else if (area.center) {
+    const lat = Number(area.center.lat);
+    const lng = Number(area.center.lng);
+    const radiusKm = Number(area.radiusKm);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 85 || Math.abs(lng) > 180) {
+      throw new Error('Center needs a numeric "lat" (-85 to 85) and "lng" (-180 to 180)');
+    }
+    if (!(radiusKm > 0) || radiusKm > MAX_RADIUS_KM) {
+      throw new Error(`Radius must be between 0 and ${MAX_RADIUS_KM} km`);
+    }
+    bounds = boundsFromCenter({ lat, lng }, radiusKm);
+  } else {
+    throw new Error('Area must have "bounds" or "center" and "radiusKm"');
+  }
+
+  const { widthKm, heightKm } = tileSizeKm(bounds);
+  if (Math.max(widthKm, heightKm) > MAX_RADIUS_KM * 2) {
+    throw new Error(`Area may be at most ${MAX_RADIUS_KM * 2} km across`);
+  }
+
+  const grid = area.grid === undefined ? defaultGridSize(bounds) : parseInt(area.grid, 10);
+  if (!(grid >= 1 && grid <= MAX_GRID_SIZE)) {
+    throw new Error(`Grid must be between 1 and ${MAX_GRID_SIZE} tiles per side`);
+  }
+
+  return { bounds, grid };
+}
+
+// Square bounds around a center point
+function boundsFromCenter({ lat, lng }, radiusKm) {
+  const latDelta = (radiusKm * 1000) / METERS_PER_DEGREE_LATITUDE;
+  const lngDelta = latDelta / Math.cos(lat * Math.PI / 180);
+  return {
+    north: lat + latDelta,
+    south: lat - latDelta,
+    east: lng + lngDelta,
+    west: lng - lngDelta
+  };
+}
+
+function tileCenter({ north, south, east, west }) {
+  return { lat: (north + south) / 2, lng: (east + west) / 2 };
+}
+
+function tileSizeKm(bounds) {
+  const { lat } = tileCenter(bounds);
+  const heightKm = (bounds.north - bounds.south) * METERS_PER_DEGREE_LATITUDE / 1000;
+  const widthKm = (bounds.east - bounds.west) * METERS_PER_DEGREE_LATITUDE * Math.cos(lat * Math.PI / 180) / 1000;
+  return { widthKm, heightKm };
+}
+
+// Start with tiles of roughly 5 km
+function defaultGridSize(bounds) {
+  const { widthKm, heightKm } = tileSizeKm(bounds);
+  return Math.min(MAX_GRID_SIZE, Math.max(1, Math.ceil(Math.max(widthKm, heightKm) / 5)));
+}
+
+// Cut bounds into a size x size grid, row by row from the north-west
+function splitBounds(bounds, size) {
+  const latStep = (bounds.north - bounds.south) / size;
+  const lngStep = (bounds.east - bounds.west) / size;
+  const tiles = [];
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      tiles.push({
+        north: bounds.north - row * latStep,
+        south: bounds.north - (row + 1) * latStep,
+        west: bounds.west + col * lngStep,
+        east: bounds.west + (col + 1) * lngStep
+      });
+    }
+  }
+  return tiles;
+}
+
+// Highest zoom at which the whole tile fits in the map viewport
+function zoomForBounds(bounds) {
+  const { lat } = tileCenter(bounds);
+  const { widthKm, heightKm } = tileSizeKm(bounds);
+  const groundResolution = METERS_PER_PIXEL_AT_ZOOM_0 * Math.cos(lat * Math.PI / 180);
+
+  const zoomForWidth = Math.log2(groundResolution * MAP_VIEWPORT.width / (widthKm * 1000));
+  const zoomForHeight = Math.log2(groundResolution * MAP_VIEWPORT.height / (heightKm * 1000));
+  return Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, Math.floor(Math.min(zoomForWidth, zoomForHeight))));
+}
+
+// Search URL that opens the query with the map on the tile
+function tileSearchUrl(query, bounds) {
+  const { lat, lng } = tileCenter(bounds);
+  const zoom = zoomForBounds(bounds);
+  return `https://www.google.com/maps/search/${encodeURIComponent(query)}/@${lat.toFixed(7)},${lng.toFixed(7)},${zoom}z?hl=en`;
+}
+
+function containsPoint(bounds, { latitude, longitude }) {
+  return latitude <= bounds.north && latitude >= bounds.south &&
+    longitude <= bounds.east && longitude >= bounds.west;
+}
+
+module.exports = {
+  parseArea,
+  boundsFromCenter,
+  splitBounds,
+  zoomForBounds,
+  tileSearchUrl,
+  containsPoint
+};
@@ -0,0 +1,111 @@
+// lib/waits.js - Readiness-based waits and phase timing for the scraper
+//
+// Each wait resolves as soon as the page reaches the state it is waiting for,
+// and gives up after a timeout instead of sleeping for a fixed time. The
+// selectors they watch come from the registry's "waits" section: links to
+// place pages, the heading of an opened place panel and the feed's
+// end-of-list marker.
+const { getSelectorRegistry } = require('./selectorRegistry');
+
+const SEARCH_RESULTS_TIMEOUT = 20000;
+const PLACE_DETAILS_TIMEOUT = 15000;
+const NETWORK_IDLE_TIME = 500;
+const NETWORK_IDLE_TIMEOUT = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait until a search has rendered either result cards in the feed or, when
+// Maps jumps straight to a single match, the place panel
+async function waitForSearchResults(page, timeout = SEARCH_RESULTS_TIMEOUT) {
+  const { placeLink, placeHeading } = getSelectorRegistry().waits;
+  await page.waitForFunction(
+    (linkSelector, headingSelector) => {
+      const feed = document.querySelector('div[role="feed"]');
+      return (feed && feed.querySelector(linkSelector)) || document.querySelector(headingSelector);
+    },
+    { timeout },
+    placeLink,
+    placeHeading
+  );
+}
+
+// Count the place links currently on the page
+async function countPlaceLinks(page) {
+  return await page.$$eval(getSelectorRegistry().waits.placeLink, links => links.length);
+}
+
+// Wait until the feed holds more place links than `previousCount`, or shows
+// its end-of-list marker. Resolves to true if new links appeared.
+async function waitForFeedGrowth(page, previousCount, timeout) {
+  const { placeLink, feedEnd } = getSelectorRegistry().waits;
+  try {
+    await page.waitForFunction(
+      (linkSelector, endSelector, count) => {
+        return document.querySelectorAll(linkSelector).length > count || document.querySelector(endSelector);
+      },
+      { timeout, polling: 250 },
+      placeLink,
+      feedEnd,
+      previousCount
+    );
+  } catch (error) {
+    if (error.name !== 'TimeoutError') throw error;
+  }
+
+  return (await countPlaceLinks(page)) > previousCount;
+}
+
+// Whether the feed says there are no more results to load
+async function isFeedExhausted(page) {
+  return (await page.$(getSelectorRegistry().waits.feedEnd)) !== null;
+}
+
+// Wait for a place panel's heading, then give its remaining requests a
+// moment to settle so the detail sections are filled in
+async function waitForPlaceDetails(page, timeout = PLACE_DETAILS_TIMEOUT) {
+  await page.waitForSelector(getSelectorRegistry().waits.placeHeading, { timeout });
+  await waitForNetworkQuiet(page);
+}
+
+// Wait until the page has had no network requests for a short while. Maps
+// keeps some connections busy, so running out of time here is not an error.
+async function waitForNetworkQuiet(page, { idleTime = NETWORK_IDLE_TIME, timeout = NETWORK_IDLE_TIMEOUT } = {}) {
+  try {
+    await page.waitForNetworkIdle({ idleTime, timeout });
+  } catch (error) {
+    if (error.name !== 'TimeoutError') throw error;
+  }
+}
+
+// Time named phases of a scrape and log how long each took
+function createPhaseTimer(label) {
+  const timings = {};
+
+  return {
+    async time(phase, fn) {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        const elapsed = Date.now() - start;
+        timings[phase] = (timings[phase] || 0) + elapsed;
+        console.log(`[timing] ${label} - ${phase}: ${elapsed} ms`);
+      }
+    },
+
+    summary() {
+      return { ...timings };
+    }
+  };
+}
+
+module.exports = {
+  sleep,
+  waitForSearchResults,
+  countPlaceLinks,
+  waitForFeedGrowth,
+  isFeedExhausted,
+  waitForPlaceDetails,
+  waitForNetworkQuiet,
+  createPhaseTimer
+};
@@ -0,0 +1,148 @@
+// lib/websiteAudit.js - Health check of a business's website
+//
+// Each website is opened in a page of the scraper's own headless browser. The
+// audit records the HTTP status, the final URL after redirects, whether the
+// HTTPS certificate is valid (read from the DevTools Security domain, since
+// the browser itself ignores certificate errors), whether the page has a
+// mobile viewport meta tag, its title and meta description, and how long it
+// took to load. `websiteHealth` sums it up for filtering. A bare domain that
+// does not load over HTTPS is tried again over plain HTTP, as the crawler does.
+const { websiteUrls } = require('./websiteCrawler');
+
+const AUDIT_TIMEOUT = parseInt(process.env.WEBSITE_AUDIT_TIMEOUT, 10) || 20000;
+
+const WEBSITE_HEALTH = {
+  OK: 'ok',
+  MISSING: 'missing',
+  BROKEN: 'broken'
+};
+
+const HTTPS_STATE = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  NONE: 'none'
+};
+
+// Read the head of the page. This runs in the page through page.evaluate, so
+// it must not use anything from the surrounding module.
+function readPageHeadInPage() {
+  const meta = name => {
+    const element = document.querySelector(`meta[name="${name}" i]`);
+    return element ? (element.getAttribute('content') || '').trim() : null;
+  };
+  const viewport = meta('viewport');
+  return {
+    title: document.title.trim(),
+    description: meta('description'),
+    mobileViewport: viewport !== null && /width\s*=\s*device-width/i.test(viewport)
+  };
+}
+
+// Whether the final page was served over HTTPS with a certificate the browser
+// would accept. `securityState` is the last visibleSecurityState reported by
+// the Security domain.
+function httpsState(finalUrl, securityState) {
+  if (!/^https:/i.test(finalUrl || '')) return HTTPS_STATE.NONE;
+  const certificate = securityState && securityState.certificateSecurityState;
+  if (!certificate) {
+    return securityState && securityState.securityState === 'insecure-broken' ? HTTPS_STATE.INVALID : HTTPS_STATE.VALID;
+  }
+  if (certificate.certificateNetworkError) return HTTPS_STATE.INVALID;
+  if (certificate.validTo && certificate.validTo * 1000 < Date.now()) return HTTPS_STATE.INVALID;
+  return HTTPS_STATE.VALID;
+}
+
+function websiteHealth({ websiteStatus, websiteError }) {
+  if (websiteError === 'No website') return WEBSITE_HEALTH.MISSING;
+  if (websiteError || typeof websiteStatus !== 'number' || websiteStatus >= 400) return WEBSITE_HEALTH.BROKEN;
+  return WEBSITE_HEALTH.OK;
+}
+
+function emptyAudit(error) {
+  return {
+    websiteStatus: 'N/A',
+    websiteFinalUrl: 'N/A',
+    websiteHttps: 'N/A',
+    websiteMobileViewport: 'N/A',
+    websiteTitle: 'N/A',
+    websiteDescription: 'N/A',
+    websiteLoadTime: 'N/A',
+    websiteError: error
+  };
+}
+
+// Load `url` in `page` and read the audit fields from it. Throws when the
+// page does not load.
+async function loadAndAudit(page, client, url, timeout) {
+  let securityState = null;
+  const onSecurityState = ({ visibleSecurityState }) => {
+    securityState = visibleSecurityState;
+  };
+  client.on('Security.visibleSecurityStateChanged', onSecurityState);
+  try {
+    const started = Date.now();
+    const response = await page.goto(url, { waitUntil: 'load', timeout });
+    const loadTime = Date.now() - started;
+    const head = await page.evaluate(readPageHeadInPage);
+    const finalUrl = page.url();
+
+    return {
+      websiteStatus: response ? response.status() : 'N/A',
+      websiteFinalUrl: finalUrl,
+      websiteHttps: httpsState(finalUrl, securityState),
+      websiteMobileViewport: head.mobileViewport,
+      websiteTitle: head.title || 'N/A',
+      websiteDescription: head.description || 'N/A',
+      websiteLoadTime: loadTime,
+      websiteError: null
+    };
+  } finally {
+    client.off('Security.visibleSecurityStateChanged', onSecurityState);
+  }
+}
+
+// Audit one website in a new page of `browserContext`. Resolves to the audit
+// fields, with `websiteError` set when the site could not be loaded; errors
+// are never thrown.
+async function auditWebsite(browserContext, website, { timeout = AUDIT_TIMEOUT } = {}) {
+  const urls = websiteUrls(website);
+  if (urls.length === 0) {
+    const audit = emptyAudit('No website');
+    return { ...audit, websiteHealth: websiteHealth(audit) };
+  }
+
+  let page = null;
+  try {
+    page = await browserContext.newPage();
+    const client = await page.target().createCDPSession();
+    await client.send('Security.enable');
+
+    let audit = null;
+    for (const [index, url] of urls.entries()) {
+      try {
+        audit = await loadAndAudit(page, client, url, timeout);
+        break;
+      } catch (error) {
+        // Sites without HTTPS are tried again over plain HTTP
+        if (index === urls.length - 1) throw error;
+      }
+    }
+    return { ...audit, websiteHealth: websiteHealth(audit) };
+  } catch (error) {
+    const audit = emptyAudit(error.message.split('\n')[0]);
+    return { ...audit, websiteHealth: websiteHealth(audit) };
+  } finally {
+    if (page !== null) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  WEBSITE_HEALTH,
+  HTTPS_STATE,
+  readPageHeadInPage,
+  httpsState,
+  websiteHealth,
+  auditWebsite
+};
@@ -0,0 +1,352 @@
+// lib/websiteCrawler.js - Enriches businesses with contacts from their own website
+//
+// Starting at a business's `website`, the crawler reads the home page and
+// then follows links that look like contact, about or imprint pages on the
+// same site, up to a page budget. From every page it reads email addresses,
+// phone numbers and links to social profiles, each with the URL of the page
+// it was found on. Pages are fetched with plain HTTP(S) requests; no browser
+// is involved.
+const http = require('http');
+const https = require('https');
+const { findPhoneNumbersInText } = require('libphonenumber-js');
+
+const DEFAULT_PAGE_BUDGET = parseInt(process.env.CRAWL_PAGE_BUDGET, 10) || 5;
+const FETCH_TIMEOUT = parseInt(process.env.CRAWL_FETCH_TIMEOUT, 10) || 10000;
+// Larger pages are cut off; contacts sit in the header or footer anyway
+const MAX_PAGE_BYTES = 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/101.0.4951.67 Safari/537.36';
+
+// Pages worth a visit, scored by how likely they list contact details
+const CONTACT_PAGES = [
+  { pattern: /contact|kontakt|contacto|contatti|contato|get-in-touch/i, score: 3 },
+  { pattern: /impressum|imprint|mentions-legales|aviso-legal|colofon/i, score: 3 },
+  { pattern: /about|ueber-uns|uber-uns|über-uns|a-propos|quienes-somos|chi-siamo|over-ons/i, score: 2 },
+  { pattern: /team|location|find-us|legal/i, score: 1 }
+];
+
+const SOCIAL_NETWORKS = [
+  { network: 'facebook', label: 'Facebook', hosts: ['facebook.com', 'fb.com'] },
+  { network: 'instagram', label: 'Instagram', hosts: ['instagram.com'] },
+  { network: 'linkedin', label: 'LinkedIn', hosts: ['linkedin.com'] },
+  { network: 'x', label: 'X', hosts: ['twitter.com', 'x.com'] },
+  { network: 'tiktok', label: 'TikTok', hosts: ['tiktok.com'] }
+];
+// Share buttons and other links that are not a profile
+const SOCIAL_NON_PROFILE = /\/(sharer|share|intent|dialog|plugins|tr|hashtag|search|login)(\/|\.php|$|\?)/i;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+// Things that look like addresses but are not, e.g. "logo@2x.png"
+const JUNK_EMAIL = /\.(png|jpe?g|gif|svg|webp|css|js)$|@(example\.(com|org)|sentry\.io|[\w.-]*wixpress\.com|domain\.com|email\.com)$|^(name|your|you|user)@/i;
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'N/A';
+}
+
+// The URLs to try for a website, in order. Maps often shows just the domain;
+// those are tried over HTTPS first and then over plain HTTP.
+function websiteUrls(website) {
+  if (isMissing(website)) return [];
+  const value = String(website).trim();
+  const candidates = /^https?:\/\//i.test(value) ? [value] : [`https://${value}`, `http://${value}`];
+  try {
+    return candidates.map(candidate => new URL(candidate).href);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Decode percent-escapes, keeping the text as is when they are not UTF-8,
+// e.g. "caf%E9" from older sites
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function siteHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+// GET a page, following redirects. Resolves to { url, status, contentType,
+// body } with `url` the final address after redirects.
+function fetchPage(url, { timeout = FETCH_TIMEOUT, redirects = MAX_REDIRECTS } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : target.protocol === 'http:' ? http : null;
+    if (!client) {
+      reject(new Error(`Unsupported protocol ${target.protocol}`));
+      return;
+    }
+
+    const req = client.get(target, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8' },
+      timeout
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects <= 0) {
+          reject(new Error(`Too many redirects from ${url}`));
+          return;
+        }
+        resolve(fetchPage(new URL(res.headers.location, target).href, { timeout, redirects: redirects - 1 }));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        resolve({
+          url: target.href,
+          status: res.statusCode,
+          contentType: res.headers['content-type'] || '',
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+      };
+
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        chunks.push(chunk);
+        if (size >= MAX_PAGE_BYTES) {
+          finish();
+          res.destroy();
+        }
+      });
+      res.on('end', finish);
+      res.on('error', (error) => {
+        if (!finished) reject(error);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout} ms loading ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// The visible text of a page, with "name [at] domain [dot] com" style
+// addresses put back together
+function pageText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s*[[(]\s*(?:at|ät)\s*[\])]\s*/gi, '@')
+    .replace(/\s*[[(]\s*(?:dot|punkt)\s*[\])]\s*/gi, '.')
+    .replace(/\s+/g, ' ');
+}
+
+// Every <a href> on the page as { href, text }, resolved against the page URL
+function pageLinks(html, pageUrl) {
+  const links = [];
+  const anchor = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = anchor.exec(html)) !== null) {
+    const href = match[1].match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    if (!href) continue;
+    const value = decodeEntities((href[1] || href[2] || href[3] || '').trim());
+    try {
+      links.push({ href: new URL(value, pageUrl).href, text: pageText(match[2]).trim() });
+    } catch (error) {
+      // Not a URL we can follow
+    }
+  }
+  return links;
+}
+
+function isUsefulEmail(email) {
+  return !JUNK_EMAIL.test(email);
+}
+
+// The social network a link points to a profile on, or null
+function socialNetwork(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return null;
+  }
+  const host = url.hostname.toLowerCase().replace(/^(www|m|mobile|[a-z]{2}(-[a-z]{2})?)\./, '');
+  const match = SOCIAL_NETWORKS.find(({ hosts }) => hosts.includes(host));
+  if (!match || url.pathname.length <= 1 || SOCIAL_NON_PROFILE.test(url.pathname)) return null;
+  return match.network;
+}
+
+function profileUrl(href) {
+  const url = new URL(href);
+  return `${url.protocol}//${url.hostname}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+// Read the contacts on one page. `country` lets national phone numbers be read.
+function extractContacts(html, pageUrl, { country = null } = {}) {
+  const links = pageLinks(html, pageUrl);
+  const text = pageText(html);
+  const emails = new Set();
+  const phones = new Set();
+  const socials = new Map();
+
+  for (const { href } of links) {
+    if (/^mailto:/i.test(href)) {
+      const address = safeDecode(href.replace(/^mailto:/i, '').split('?')[0]).trim().toLowerCase();
+      if (address.match(EMAIL_PATTERN) && isUsefulEmail(address)) emails.add(address);
+    } else if (/^tel:/i.test(href)) {
+      const found = findPhoneNumbersInText(safeDecode(href.replace(/^tel:/i, '')), country || undefined);
+      found.forEach(({ number }) => phones.add(number.number));
+    } else {
+      const network = socialNetwork(href);
+      if (network && !socials.has(profileUrl(href))) socials.set(profileUrl(href), network);
+    }
+  }
+
+  for (const address of text.match(EMAIL_PATTERN) || []) {
+    if (isUsefulEmail(address)) emails.add(address.toLowerCase());
+  }
+  for (const { number } of findPhoneNumbersInText(text, country || undefined)) {
+    phones.add(number.number);
+  }
+
+  return {
+    emails: Array.from(emails),
+    phones: Array.from(phones),
+    socials: Array.from(socials, ([url, network]) => ({ network, url })),
+    links
+  };
+}
+
+// Links on the same site that look like contact pages, best first
+function contactPageLinks(links, baseUrl) {
+  const host = siteHost(baseUrl);
+  const scored = new Map();
+
+  for (const { href, text } of links) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch (error) {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || siteHost(url.href) !== host) continue;
+    url.hash = '';
+
+    const haystack = `${safeDecode(url.pathname)} ${text}`;
+    const score = Math.max(0, ...CONTACT_PAGES.filter(({ pattern }) => pattern.test(haystack)).map(({ score }) => score));
+    if (score > 0 && score > (scored.get(url.href) || 0)) {
+      scored.set(url.href, score);
+    }
+  }
+
+  return Array.from(scored.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([href]) => href);
+}
+
+// Crawl a business website. Resolves to { pages, emails, phones, socials,
+// error }, where each email, phone and social profile has the `source` page
+// it was first found on. Network failures end up in `error`, never thrown.
+async function crawlWebsite(website, { pageBudget = DEFAULT_PAGE_BUDGET, country = null, timeout = FETCH_TIMEOUT } = {}) {
+  const result = { pages: [], emails: [], phones: [], socials: [], error: null };
+  const [start, fallback] = websiteUrls(website);
+  if (!start) {
+    result.error = 'No website';
+    return result;
+  }
+
+  const queue = [start];
+  const seen = new Set();
+  const add = (list, key, item) => {
+    if (!list.some(existing => existing[key] === item[key])) list.push(item);
+  };
+
+  while (queue.length > 0 && result.pages.length < pageBudget) {
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    let page;
+    try {
+      page = await fetchPage(url, { timeout });
+    } catch (error) {
+      // Sites without HTTPS are tried again over plain HTTP
+      if (result.pages.length === 0 && url === start && fallback) {
+        queue.unshift(fallback);
+        continue;
+      }
+      if (result.pages.length === 0) result.error = error.message;
+      continue;
+    }
+
+    seen.add(page.url);
+    result.pages.push({ url: page.url, status: page.status });
+    if (page.status >= 400 || (page.contentType && !/html/i.test(page.contentType))) continue;
+
+    const contacts = extractContacts(page.body, page.url, { country });
+    contacts.emails.forEach(value => add(result.emails, 'value', { value, source: page.url }));
+    contacts.phones.forEach(value => add(result.phones, 'value', { value, source: page.url }));
+    contacts.socials.forEach(social => add(result.socials, 'url', { ...social, source: page.url }));
+
+    // Contact pages are found from the home page only
+    if (result.pages.length === 1) {
+      queue.push(...contactPageLinks(contacts.links, page.url).slice(0, pageBudget - 1));
+    }
+  }
+
+  if (result.pages.length > 0 && result.pages.every(({ status }) => status >= 400)) {
+    result.error = `HTTP ${result.pages[0].status}`;
+  }
+  return result;
+}
+
+// Crawl a record's website and add what was found: `emails`, `extraPhones`
+// (numbers other than the Maps phone) and `socialProfiles`, each with its
+// source page, plus `crawledPages` and `crawlError`. The record's `email` is
+// replaced by the first address found on the site.
+async function enrichRecord(record, options = {}) {
+  const country = isMissing(record.country) ? null : record.country;
+  const crawl = await crawlWebsite(record.website, { country, ...options });
+
+  const email = crawl.emails.length > 0
+    ? crawl.emails[0].value
+    : (!isMissing(record.email) && String(record.email).match(EMAIL_PATTERN) && isUsefulEmail(record.email) ? record.email : 'N/A');
+
+  return {
+    ...record,
+    email,
+    emails: crawl.emails,
+    extraPhones: crawl.phones.filter(({ value }) => value !== record.phone),
+    socialProfiles: crawl.socials,
+    crawledPages: crawl.pages.map(({ url }) => url),
+    crawlError: crawl.error
+  };
+}
+
+// The first profile URL of a social network, for export columns
+function socialProfileUrl(record, network) {
+  const profile = (record.socialProfiles || []).find(social => social.network === network);
+  return profile ? profile.url : 'N/A';
+}
+
+module.exports = {
+  SOCIAL_NETWORKS,
+  websiteUrls,
+  fetchPage,
+  extractContacts,
+  contactPageLinks,
+  crawlWebsite,
+  enrichRecord,
+  socialProfileUrl
+};
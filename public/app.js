@@ -9,25 +9,60 @@ document.addEventListener('DOMContentLoaded', () => {
     const resultsCount = document.getElementById('results-count');
     const statusAlert = document.getElementById('status-alert');
     const statusMessage = document.getElementById('status-message');
+    const progressContainer = document.getElementById('progress-container');
+    const progressBar = document.getElementById('progress-bar');
     
     const exportExcelBtn = document.getElementById('export-excel');
     const exportCsvBtn = document.getElementById('export-csv');
     const exportJsonBtn = document.getElementById('export-json');
+    const exportReviewsCsvBtn = document.getElementById('export-reviews-csv');
+    const exportReviewsJsonBtn = document.getElementById('export-reviews-json');
+    const exportChangesXlsxBtn = document.getElementById('export-changes-xlsx');
+    const exportChangesJsonBtn = document.getElementById('export-changes-json');
     
     let scrapedData = [];
+    // The stored run the results came from; exports are made from it
+    let currentRunId = null;
+    // Results shown so far for the job in progress
+    let liveResults = [];
+    
+    // How often to check on a running scrape job (ms)
+    const JOB_POLL_INTERVAL = 2000;
+    
+    // The scrape request for the search form, or null (after telling the
+    // user) when the form is incomplete
+    async function readSearchForm() {
+      const queries = splitList(document.getElementById('search-query').value);
+      const locations = splitList(document.getElementById('location').value);
+      const csvFile = document.getElementById('pairs-csv').files[0];
+      const limit = parseInt(document.getElementById('limit').value) || 10;
+      const concurrency = parseInt(document.getElementById('concurrency').value) || 3;
+      const mode = document.getElementById('mode').value;
+      // Reviews come from the detail pages, which feed mode skips
+      const maxReviews = mode === 'details' ? parseInt(document.getElementById('max-reviews').value) || 0 : 0;
+      const reviewSort = document.getElementById('review-sort').value;
+      const skipClosed = document.getElementById('skip-closed').checked;
+      const enrichWebsites = document.getElementById('enrich-websites').checked;
+      const auditWebsites = document.getElementById('audit-websites').checked;
+      
+      if (!csvFile && (queries.length === 0 || locations.length === 0)) {
+        alert('Please enter both search query and location, or upload a CSV of searches.');
+        return null;
+      }
+      
+      const options = { limit, concurrency, mode, maxReviews, reviewSort, skipClosed, enrichWebsites, auditWebsites };
+      return csvFile
+        ? { csv: await csvFile.text(), ...options }
+        : { queries, locations, ...options };
+    }
     
     // Handle form submission
     scrapeForm.addEventListener('submit', async (e) => {
       e.preventDefault();
       
-      const searchQuery = document.getElementById('search-query').value.trim();
-      const location = document.getElementById('location').value.trim();
-      const limit = parseInt(document.getElementById('limit').value) || 10;
-      
-      if (!searchQuery || !location) {
-        alert('Please enter both search query and location.');
-        return;
-      }
+      const search = await readSearchForm();
+      if (!search) return;
+      const { limit } = search;
       
       // Show loading state
       scrapeButton.disabled = true;
@@ -36,7 +71,10 @@ document.addEventListener('DOMContentLoaded', () => {
       resultsSection.classList.add('d-none');
       statusAlert.classList.remove('d-none');
       statusAlert.className = 'alert alert-warning';
-      statusMessage.textContent = `Scraping in progress... This may take 1-2 minutes for ${limit} results. Please wait.`;
+      statusMessage.textContent = `Scraping job queued for ${limit} results...`;
+      liveResults = [];
+      updateProgress(0, limit);
+      progressContainer.classList.remove('d-none');
       
       try {
         const response = await fetch('/api/scrape', {
@@ -44,18 +82,33 @@ document.addEventListener('DOMContentLoaded', () => {
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ query: searchQuery, location, limit })
+          body: JSON.stringify(search)
         });
         
         if (!response.ok) {
           const errorData = await response.json();
-          throw new Error(errorData.message || 'Failed to scrape data');
+          throw new Error(errorData.message || errorData.error || 'Failed to start scraping');
         }
         
-        const result = await response.json();
+        const { jobId } = await response.json();
+        
+        // Follow the job until it finishes, showing results as they arrive.
+        // Live updates come over socket.io; polling is the fallback.
+        const job = typeof io === 'function'
+          ? await watchJob(jobId, limit)
+          : await waitForJob(jobId, (job) => {
+            statusMessage.textContent = `Scraping in progress... ${job.progress.processed}/${job.progress.total || limit} listings processed.`;
+            updateProgress(job.progress.processed, job.progress.total || limit);
+            showLiveResults(job.results);
+          });
+        
+        if (job.status === 'failed') {
+          throw new Error(job.error || 'Failed to scrape data');
+        }
         
         // Store data for export
-        scrapedData = result.data;
+        scrapedData = job.results;
+        currentRunId = job.id;
         
         // Display results
         displayResults(scrapedData);
@@ -75,12 +128,142 @@ document.addEventListener('DOMContentLoaded', () => {
         statusMessage.textContent = `Error: ${error.message || 'Something went wrong'}`;
       } finally {
         // Reset button state
+        progressContainer.classList.add('d-none');
         scrapeButton.disabled = false;
         buttonText.textContent = 'Scrape Data';
         loadingSpinner.classList.add('d-none');
       }
     });
     
+    // Fetch the current state of a scrape job
+    async function fetchJob(jobId) {
+      const response = await fetch(`/api/jobs/${jobId}`);
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || 'Failed to get job status');
+      }
+      
+      const { job } = await response.json();
+      return job;
+    }
+    
+    // Poll a scrape job until it completes or fails
+    async function waitForJob(jobId, onUpdate) {
+      while (true) {
+        const job = await fetchJob(jobId);
+        
+        if (job.status === 'completed' || job.status === 'failed') {
+          return job;
+        }
+        
+        onUpdate(job);
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+      }
+    }
+    
+    // Subscribe to a scrape job over socket.io and render each step as it
+    // happens. Resolves with the finished job once it completes or fails.
+    function watchJob(jobId, limit) {
+      return new Promise((resolve, reject) => {
+        const socket = io();
+        let finished = false;
+        
+        const finish = async () => {
+          if (finished) return;
+          finished = true;
+          socket.disconnect();
+          try {
+            resolve(await fetchJob(jobId));
+          } catch (error) {
+            reject(error);
+          }
+        };
+        
+        // (Re)subscribe on every connect so a dropped connection picks up again
+        socket.on('connect', () => socket.emit('job:subscribe', jobId));
+        
+        socket.on('job:snapshot', (job) => {
+          liveResults = [];
+          showLiveResults(job.results);
+          updateProgress(job.progress.processed, job.progress.total || limit);
+          if (job.status === 'completed' || job.status === 'failed') {
+            finish();
+          }
+        });
+        
+        socket.on('job:progress', (event) => {
+          switch (event.type) {
+            case 'search-loaded':
+              statusMessage.textContent = 'Search results loaded, collecting listings...';
+              break;
+            case 'urls-progress':
+              statusMessage.textContent = `Collected ${event.collected}/${event.limit} listing URLs...`;
+              break;
+            case 'listing-processing':
+              statusMessage.textContent = `Processing listing ${event.index + 1}/${event.total}: ${event.name}`;
+              break;
+            case 'listing-extracted':
+              showLiveResults([event.record]);
+              break;
+            case 'listing-failed':
+              statusMessage.textContent = `Listing ${event.index + 1} failed: ${event.reason}`;
+              break;
+            case 'closed-skipped':
+              if (event.count > 0) {
+                statusMessage.textContent = `Skipped ${event.count} closed businesses`;
+              }
+              break;
+            case 'website-crawled':
+              statusMessage.textContent = `Crawled website ${event.index + 1}/${event.total}: ${event.name}`;
+              break;
+            case 'website-audited':
+              statusMessage.textContent = `Checked website ${event.index + 1}/${event.total}: ${event.name} (${event.health})`;
+              break;
+          }
+          updateProgress(event.progress.processed, event.progress.total || limit);
+        });
+        
+        socket.on('job:status', (job) => {
+          if (job.status === 'completed' || job.status === 'failed') {
+            finish();
+          }
+        });
+        
+        socket.on('job:error', (event) => {
+          finished = true;
+          socket.disconnect();
+          reject(new Error(event.error));
+        });
+      });
+    }
+    
+    // Add newly arrived results to the table while a job is running
+    function showLiveResults(results) {
+      const newResults = results.slice(liveResults.length);
+      if (liveResults.length === 0 && newResults.length > 0) {
+        resultsTableBody.innerHTML = '';
+      }
+      
+      newResults.forEach(item => {
+        liveResults.push(item);
+        appendResultRow(item, liveResults.length);
+      });
+      
+      if (liveResults.length > 0) {
+        resultsSection.classList.remove('d-none');
+        resultsCount.textContent = `(${liveResults.length} items)`;
+      }
+    }
+    
+    // Update the progress bar to show processed/total listings
+    function updateProgress(processed, total) {
+      const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+      progressBar.style.width = `${percent}%`;
+      progressBar.setAttribute('aria-valuenow', percent);
+      progressBar.textContent = `${processed}/${total}`;
+    }
+    
     // Display results in table
     function displayResults(data) {
       resultsTableBody.innerHTML = '';
@@ -92,22 +275,39 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       
-      data.forEach((item, index) => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-          <td>${index + 1}</td>
-          <td>${escapeHtml(item.name || 'N/A')}</td>
-          <td>${escapeHtml(item.category || 'N/A')}</td>
-          <td>${escapeHtml(item.address || 'N/A')}</td>
-          <td>${escapeHtml(item.phone || 'N/A')}</td>
-          <td>${item.website && item.website !== 'N/A' ? 
-            `<a href="${escapeHtml(item.website)}" target="_blank" class="btn btn-sm btn-outline-primary">Visit</a>` : 'N/A'}</td>
-          <td>${escapeHtml(item.email || 'N/A')}</td>
-          <td>${escapeHtml(item.rating || 'N/A')}</td>
-          <td>${escapeHtml(item.reviews || 'N/A')}</td>
-        `;
-        resultsTableBody.appendChild(row);
-      });
+      data.forEach((item, index) => appendResultRow(item, index + 1));
+    }
+    
+    // Append a single result row to the table
+    function appendResultRow(item, number) {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${number}</td>
+        <td>${escapeHtml(item.name || 'N/A')}${statusBadge(item.operationalStatus)}</td>
+        <td>${escapeHtml(item.category || 'N/A')}</td>
+        <td>${escapeHtml(item.address || 'N/A')}</td>
+        <td>${item.phoneStatus === 'invalid' ?
+          `<span class="text-danger" title="Not a valid phone number">${escapeHtml(item.phoneDisplay)}</span>` :
+          escapeHtml(item.phone || 'N/A')}</td>
+        <td>${item.website && item.website !== 'N/A' ? 
+          `<a href="${escapeHtml(item.website)}" target="_blank" class="btn btn-sm btn-outline-primary">Visit</a>` : 'N/A'}</td>
+        <td>${escapeHtml(item.email || 'N/A')}</td>
+        <td>${escapeHtml(item.rating || 'N/A')}</td>
+        <td>${escapeHtml(item.reviews || 'N/A')}</td>
+      `;
+      resultsTableBody.appendChild(row);
+    }
+    
+    // A badge for businesses Maps marks as closed
+    function statusBadge(status) {
+      if (status === 'CLOSED_PERMANENTLY') return ' <span class="badge bg-danger">Permanently closed</span>';
+      if (status === 'CLOSED_TEMPORARILY') return ' <span class="badge bg-warning text-dark">Temporarily closed</span>';
+      return '';
+    }
+    
+    // Split a ";"-separated input into its non-empty values
+    function splitList(value) {
+      return value.split(';').map(item => item.trim()).filter(Boolean);
     }
     
     // Helper function to escape HTML
@@ -125,16 +325,56 @@ document.addEventListener('DOMContentLoaded', () => {
     exportExcelBtn.addEventListener('click', () => exportData('xlsx'));
     exportCsvBtn.addEventListener('click', () => exportData('csv'));
     exportJsonBtn.addEventListener('click', () => exportData('json'));
+    exportReviewsCsvBtn.addEventListener('click', () => exportData('csv', 'reviews'));
+    exportReviewsJsonBtn.addEventListener('click', () => exportData('json', 'reviews'));
+    exportChangesXlsxBtn.addEventListener('click', () => exportChanges('xlsx'));
+    exportChangesJsonBtn.addEventListener('click', () => exportChanges('json'));
     
-    // Function to export data in different formats
-    async function exportData(format) {
+    // Download what changed since the previous run of the same searches
+    async function exportChanges(format) {
+      if (!currentRunId) {
+        alert('No stored run to compare');
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/runs/${currentRunId}/changes?format=${format}`);
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || 'Change report failed');
+        }
+        
+        const blob = format === 'json'
+          ? new Blob([JSON.stringify((await response.json()).report, null, 2)], { type: 'application/json' })
+          : await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `google_maps_changes.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+      } catch (error) {
+        console.error('Change report error:', error);
+        statusAlert.className = 'alert alert-danger';
+        statusMessage.textContent = `Change report error: ${error.message}`;
+        statusAlert.classList.remove('d-none');
+      }
+    }
+    
+    // Function to export data in different formats. `dataset` is "businesses"
+    // or "reviews".
+    async function exportData(format, dataset = 'businesses') {
+      const buttonId = dataset === 'reviews' ? `export-reviews-${format}` : `export-${format}`;
       if (scrapedData.length === 0) {
         alert('No data to export');
         return;
       }
       
       try {
-        const exportBtn = document.getElementById(`export-${format}`);
+        const exportBtn = document.getElementById(buttonId);
         const originalText = exportBtn.textContent;
         exportBtn.disabled = true;
         exportBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Exporting...';
@@ -144,7 +384,9 @@ document.addEventListener('DOMContentLoaded', () => {
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ data: scrapedData, format })
+          body: JSON.stringify(currentRunId
+            ? { runId: currentRunId, format, dataset }
+            : { data: scrapedData, format, dataset })
         });
         
         if (!response.ok) {
@@ -161,10 +403,13 @@ document.addEventListener('DOMContentLoaded', () => {
         a.style.display = 'none';
         a.href = url;
         
-        // Set filename based on search query and format
-        const searchQuery = document.getElementById('search-query').value.trim();
-        const location = document.getElementById('location').value.trim();
-        const filename = `${searchQuery}_in_${location}.${format}`.replace(/\s+/g, '_');
+        // Set filename based on search query and format; batches get a generic name
+        const queries = splitList(document.getElementById('search-query').value);
+        const locations = splitList(document.getElementById('location').value);
+        const suffix = dataset === 'reviews' ? '_reviews' : '';
+        const filename = (queries.length === 1 && locations.length === 1
+          ? `${queries[0]}_in_${locations[0]}${suffix}.${format}`
+          : `google_maps_batch${suffix}.${format}`).replace(/\s+/g, '_');
         a.download = filename;
         
         // Append to document, click and remove
@@ -187,9 +432,132 @@ document.addEventListener('DOMContentLoaded', () => {
         statusMessage.textContent = `Export error: ${error.message}`;
         statusAlert.classList.remove('d-none');
       } finally {
-        const exportBtn = document.getElementById(`export-${format}`);
+        const exportBtn = document.getElementById(buttonId);
         exportBtn.disabled = false;
         exportBtn.textContent = originalText;
       }
     }
+    
+    // Schedules: saved searches that run on a cron schedule
+    const scheduleForm = document.getElementById('schedule-form');
+    const schedulesTableBody = document.getElementById('schedules-table-body');
+    const scheduleHistory = document.getElementById('schedule-history');
+    document.getElementById('schedule-timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    
+    // Call a schedule endpoint; errors are shown in the status alert
+    async function scheduleRequest(url, options = {}) {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      if (!response.ok && !data.execution) {
+        statusAlert.className = 'alert alert-danger';
+        statusMessage.textContent = `Schedule error: ${data.error || 'Request failed'}`;
+        statusAlert.classList.remove('d-none');
+        return null;
+      }
+      return data;
+    }
+    
+    function formatTime(value) {
+      return value ? new Date(value).toLocaleString() : 'N/A';
+    }
+    
+    function describeExecution(execution) {
+      if (!execution) return 'Never';
+      const outcome = execution.run
+        ? `${execution.run.status}, ${execution.run.businessCount} businesses`
+        : execution.status + (execution.error ? `: ${execution.error}` : '');
+      return `${formatTime(execution.executedAt)} (${outcome})`;
+    }
+    
+    function describeSearch(search) {
+      if (search.csv) return 'CSV of searches';
+      return `${(search.queries || []).join('; ')} in ${(search.locations || []).join('; ')}`;
+    }
+    
+    async function loadSchedules() {
+      const data = await scheduleRequest('/api/schedules');
+      if (!data) return;
+      
+      schedulesTableBody.innerHTML = data.schedules.map(schedule => `
+        <tr>
+          <td>${escapeHtml(schedule.name)}</td>
+          <td>${escapeHtml(describeSearch(schedule.search))}</td>
+          <td><code>${escapeHtml(schedule.cron)}</code> ${escapeHtml(schedule.timezone)}</td>
+          <td>${schedule.enabled ? escapeHtml(formatTime(schedule.nextRun)) : '<span class="badge bg-secondary">Paused</span>'}</td>
+          <td>${escapeHtml(describeExecution(schedule.lastExecution))}</td>
+          <td class="text-nowrap">
+            <button class="btn btn-sm btn-outline-primary" data-action="run" data-id="${schedule.id}">Run now</button>
+            <button class="btn btn-sm btn-outline-secondary" data-action="toggle" data-id="${schedule.id}" data-enabled="${schedule.enabled}">${schedule.enabled ? 'Pause' : 'Resume'}</button>
+            <button class="btn btn-sm btn-outline-secondary" data-action="history" data-id="${schedule.id}">History</button>
+            <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${schedule.id}">Delete</button>
+          </td>
+        </tr>
+      `).join('') || '<tr><td colspan="6" class="text-muted">No schedules yet</td></tr>';
+    }
+    
+    async function showScheduleHistory(id) {
+      const data = await scheduleRequest(`/api/schedules/${id}`);
+      if (!data) return;
+      
+      document.getElementById('schedule-history-title').textContent = `History of ${data.schedule.name}`;
+      document.getElementById('schedule-upcoming').innerHTML = data.upcoming
+        .map(time => `<li>${escapeHtml(formatTime(time))}</li>`).join('') || '<li class="text-muted">Paused</li>';
+      document.getElementById('schedule-executions').innerHTML = data.executions
+        .map(execution => `<li>${escapeHtml(describeExecution(execution))}</li>`).join('') || '<li class="text-muted">No executions yet</li>';
+      scheduleHistory.classList.remove('d-none');
+    }
+    
+    // Save the search form as a new schedule
+    scheduleForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const search = await readSearchForm();
+      if (!search) return;
+      
+      const data = await scheduleRequest('/api/schedules', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: document.getElementById('schedule-name').value,
+          cron: document.getElementById('schedule-cron').value,
+          timezone: document.getElementById('schedule-timezone').value || 'UTC',
+          search
+        })
+      });
+      if (!data) return;
+      
+      scheduleForm.reset();
+      document.getElementById('schedule-timezone').value = data.schedule.timezone;
+      loadSchedules();
+    });
+    
+    schedulesTableBody.addEventListener('click', async (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const { action, id } = button.dataset;
+      
+      if (action === 'run') {
+        const data = await scheduleRequest(`/api/schedules/${id}/run`, { method: 'POST' });
+        if (data && !data.success) {
+          alert(`Not started: ${data.execution.error}`);
+        }
+      } else if (action === 'toggle') {
+        await scheduleRequest(`/api/schedules/${id}`, {
+          method: 'PUT',
+          body: JSON.stringify({ enabled: button.dataset.enabled !== 'true' })
+        });
+      } else if (action === 'history') {
+        await showScheduleHistory(id);
+        return;
+      } else if (action === 'delete') {
+        if (!confirm('Delete this schedule? Runs it started are kept.')) return;
+        await scheduleRequest(`/api/schedules/${id}`, { method: 'DELETE' });
+        scheduleHistory.classList.add('d-none');
+      }
+      loadSchedules();
+    });
+    
+    loadSchedules();
   });
\ No newline at end of file
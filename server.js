@@ -1,56 +1,547 @@
 // server.js - Main Express application optimized for Vercel serverless
 const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const ExcelJS = require('exceljs');
 const { Parser } = require('json2csv');
-
-// Import chrome-aws-lambda and puppeteer-core for Vercel compatibility
-const chromium = require('chrome-aws-lambda');
-const puppeteerCore = require('puppeteer-core');
+const { enqueueJob, getJob, listJobs, serializeJob, jobEvents } = require('./lib/jobs');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { acquireBrowserContext, closeBrowserPool, getBrowserPoolStats } = require('./lib/browserPool');
+const { sleep, waitForSearchResults, waitForPlaceDetails, createPhaseTimer } = require('./lib/waits');
+const { loadSelectorRegistry, getSelectorRegistry } = require('./lib/selectorRegistry');
+const { collectListingUrls, extractBusinessDetails } = require('./lib/extractors');
+const { parsePlaceUrl, placeKey } = require('./lib/placeIdentity');
+const { parseArea, splitBounds, zoomForBounds, tileSearchUrl, containsPoint } = require('./lib/tiling');
+const { buildSearchPairs, pairSearchText, formatSearches } = require('./lib/batch');
+const { isRecord, resolveDuplicates } = require('./lib/dedupe');
+const { DAYS, parseHours, formatDayHours, parseOpenAt, isOpenAt } = require('./lib/hours');
+const { normalizeRecordPhone } = require('./lib/phone');
+const { mapsRegion } = require('./lib/countries');
+const { parseAddress } = require('./lib/address');
+const { parseReviewOptions, collectReviews, linkReviews, flattenReviews } = require('./lib/reviews');
+const { popularTimesRows } = require('./lib/popularTimes');
+const { isClosed } = require('./lib/businessStatus');
+const { SOCIAL_NETWORKS, enrichRecord, socialProfileUrl } = require('./lib/websiteCrawler');
+const { auditWebsite } = require('./lib/websiteAudit');
+const { saveRun, listRuns, getRun, listRunBusinesses, getRunRecords, findPreviousRun, deleteRun, closeRunStore } = require('./lib/runStore');
+const { diffRuns, searchSignature } = require('./lib/runDiff');
+const {
+  upcomingRuns, listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule,
+  listExecutions, executeSchedule, startScheduler, stopScheduler, EXECUTION_STATUS
+} = require('./lib/scheduler');
+const {
+  FEED_CARD_FIELD_PREFIX,
+  addFieldSources,
+  recordFieldSources,
+  getSelectorTelemetry
+} = require('./lib/selectorTelemetry');
+const {
+  capturePlacePayloads,
+  readInitialStatePlaces,
+  dataIdFromUrl,
+  mergePayloadWithDom
+} = require('./lib/mapsPayload');
 
 const app = express();
+const server = http.createServer(app);
+const io = new Server(server, { cors: { origin: '*' } });
 const PORT = process.env.PORT || 2000;
 
+// Upper bound on detail pages a single scrape may open at the same time
+const MAX_DETAIL_CONCURRENCY = parseInt(process.env.MAX_DETAIL_CONCURRENCY, 10) || 5;
+const DEFAULT_DETAIL_CONCURRENCY = 3;
+// Upper bound on the results a single scrape may ask for
+const MAX_SCRAPE_LIMIT = parseInt(process.env.MAX_SCRAPE_LIMIT, 10) || 500;
+// "details" visits every listing's page; "feed" only reads the result cards
+const SCRAPE_MODES = ['details', 'feed'];
+// Results a single Maps search loads at most, and how many times a full tile
+// may be split into four (0 turns splitting off)
+const TILE_RESULT_CAP = parseInt(process.env.TILE_RESULT_CAP, 10) || 120;
+const tileDepthSetting = parseInt(process.env.MAX_TILE_DEPTH, 10);
+const MAX_TILE_DEPTH = Number.isNaN(tileDepthSetting) ? 3 : tileDepthSetting;
+
+// Load the selector registry at startup so a broken file fails fast
+loadSelectorRegistry();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Route to handle scraping requests
-app.post('/api/scrape', async (req, res) => {
+// Route to handle scraping requests - queues a job and returns its ID right away
+app.post('/api/scrape', (req, res) => {
   try {
-    const { query, location, limit = 20 } = req.body;
-    
-    if (!query || !location) {
-      return res.status(400).json({ error: 'Query and location are required' });
+    let options;
+    try {
+      options = parseScrapeOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
     
-    const searchQuery = `${query} in ${location}`;
-    const results = await scrapeGoogleMaps(searchQuery, limit);
+    const job = startScrapeJob(options);
     
-    res.json({ success: true, data: results });
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
   } catch (error) {
     console.error('Scraping error:', error);
-    res.status(500).json({ error: 'Failed to scrape data', message: error.message });
+    res.status(500).json({ error: 'Failed to start scraping job', message: error.message });
   }
 });
 
+// Read the options of a scrape request (the POST /api/scrape body, or a
+// schedule's saved search). Throws with a message meant for the API caller.
+function parseScrapeOptions(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object');
+  }
+  const { limit: requestedLimit = 20, mode = 'details' } = body;
+  // Drop businesses their result card marks as closed, before visiting them
+  const skipClosed = body.skipClosed === true;
+  // Crawl each business's website for emails and social profiles
+  const enrichWebsites = body.enrichWebsites === true;
+  // Open each business's website in the browser for a health check
+  const auditWebsites = body.auditWebsites === true;
+  
+  // An area is searched as a grid of map tiles instead of by location name.
+  // Every query is searched in every location (or over the area).
+  const area = body.area ? parseArea(body.area) : null;
+  const pairs = buildSearchPairs(body, { hasArea: area !== null });
+  const reviews = parseReviewOptions(body);
+  
+  if (!SCRAPE_MODES.includes(mode)) {
+    throw new Error(`Mode must be one of: ${SCRAPE_MODES.join(', ')}`);
+  }
+  if (mode === 'feed' && reviews.maxReviews > 0) {
+    throw new Error('Reviews are only scraped in "details" mode');
+  }
+  
+  // Results to collect per search, capped by the server
+  const limitNumber = typeof requestedLimit === 'string' && requestedLimit.trim() !== '' ? Number(requestedLimit) : requestedLimit;
+  if (!Number.isInteger(limitNumber) || limitNumber < 1) {
+    throw new Error('Limit must be a positive whole number');
+  }
+  const limit = Math.min(limitNumber, MAX_SCRAPE_LIMIT);
+  
+  // Detail pages to work on at once, capped by the server
+  const requestedConcurrency = parseInt(body.concurrency, 10) || DEFAULT_DETAIL_CONCURRENCY;
+  const concurrency = Math.max(1, Math.min(requestedConcurrency, MAX_DETAIL_CONCURRENCY));
+  
+  return { pairs, area, limit, concurrency, mode, reviews, skipClosed, enrichWebsites, auditWebsites };
+}
+
+// Queue a scrape job for options read by parseScrapeOptions. `extraParams`
+// are stored with the job's parameters, e.g. the schedule that started it.
+function startScrapeJob(options, extraParams = {}) {
+  const { pairs, limit, ...scrapeOptions } = options;
+  return enqueueJob({ ...options, ...extraParams }, (job) => {
+    return scrapeSearchPairs(pairs, limit, {
+      ...scrapeOptions,
+      onEvent: (type, data) => recordJobEvent(job, type, data)
+    });
+  });
+}
+
+// Route to list recent scrape jobs
+app.get('/api/jobs', (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const jobs = listJobs(limit).map(job => serializeJob(job, { includeResults: false }));
+  res.json({ success: true, jobs });
+});
+
+// Route to get the status, progress and (partial) results of a job
+// `openAt` (e.g. "tuesday 18:30") keeps only results open at that local time
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const view = serializeJob(job);
+  if (req.query.openAt) {
+    try {
+      view.results = filterOpenAt(view.results, req.query.openAt);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  
+  res.json({ success: true, job: view });
+});
+
+// Route to list stored runs, most recent first, with `limit` and `offset`
+app.get('/api/runs', (req, res) => {
+  res.json({ success: true, ...listRuns(req.query) });
+});
+
+// Route to get a stored run's parameters, status and timing
+app.get('/api/runs/:id', (req, res) => {
+  const run = getRun(req.params.id);
+  
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  
+  res.json({ success: true, run });
+});
+
+// Route to page through a stored run's businesses
+// `sort` (name, category, rating, reviews, locality) and `order` (asc, desc)
+// set the order; q, category, locality, country, operationalStatus,
+// minRating, minReviews, hasWebsite and hasPhone filter
+app.get('/api/runs/:id/businesses', (req, res) => {
+  if (!getRun(req.params.id)) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  
+  try {
+    res.json({ success: true, ...listRunBusinesses(req.params.id, req.query) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Route to report what changed since an earlier run of the same searches:
+// new and disappeared businesses and changed ratings, review counts, phones,
+// websites, hours and closed status. `since` names the earlier run (default:
+// the latest completed one before it); `format` is "json" or "xlsx".
+app.get('/api/runs/:id/changes', async (req, res) => {
+  try {
+    const { format = 'json', since } = req.query;
+    const run = getRun(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    if (format !== 'json' && format !== 'xlsx') {
+      return res.status(400).json({ error: 'Format must be "json" or "xlsx"' });
+    }
+    
+    const previous = since ? getRun(since) : findPreviousRun(run);
+    if (!previous) {
+      return res.status(404).json({ error: since ? 'Earlier run not found' : 'No earlier run of the same searches' });
+    }
+    if (searchSignature(previous.params) !== searchSignature(run.params)) {
+      return res.status(400).json({ error: 'Runs must be of the same queries and locations' });
+    }
+    
+    const report = {
+      from: { id: previous.id, createdAt: previous.createdAt },
+      to: { id: run.id, createdAt: run.createdAt },
+      searches: run.params.pairs || [],
+      ...diffRuns(getRunRecords(previous.id), getRunRecords(run.id))
+    };
+    
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', 'attachment; filename="google_maps_changes.xlsx"');
+      return res.send(await exportChangesToExcel(report));
+    }
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Change report error:', error);
+    res.status(500).json({ error: 'Failed to compare runs', message: error.message });
+  }
+});
+
+// Route to delete a stored run and its businesses. Runs still in progress
+// can't be deleted.
+app.delete('/api/runs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (job && (job.status === 'queued' || job.status === 'running')) {
+    return res.status(409).json({ error: 'Run is still in progress' });
+  }
+  
+  if (!deleteRun(req.params.id)) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  
+  res.json({ success: true });
+});
+
+// Route to list saved schedules with their next run and last execution
+app.get('/api/schedules', (req, res) => {
+  const schedules = listSchedules().map(schedule => ({
+    ...schedule,
+    nextRun: upcomingRuns(schedule, 1)[0] || null,
+    lastExecution: listExecutions(schedule.id, { limit: 1 })[0] || null
+  }));
+  res.json({ success: true, schedules });
+});
+
+// Route to save a search to run on a schedule: `name`, `cron` (e.g.
+// "0 6 * * 1"), `timezone` (default UTC), `enabled` and `search`, which takes
+// the same options as POST /api/scrape
+app.post('/api/schedules', (req, res) => {
+  try {
+    parseScrapeOptions(req.body.search || {});
+    res.status(201).json({ success: true, schedule: createSchedule(req.body) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Route to get a schedule with its upcoming runs and past executions
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const limit = parseInt(req.query.limit, 10) || 20;
+  res.json({
+    success: true,
+    schedule,
+    upcoming: upcomingRuns(schedule),
+    executions: listExecutions(schedule.id, { limit })
+  });
+});
+
+// Route to change some of a schedule's fields, e.g. `{ "enabled": false }`
+app.put('/api/schedules/:id', (req, res) => {
+  try {
+    if (req.body.search !== undefined) {
+      parseScrapeOptions(req.body.search || {});
+    }
+    const schedule = updateSchedule(req.params.id, req.body);
+    
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Route to delete a schedule; the runs it started are kept
+app.delete('/api/schedules/:id', (req, res) => {
+  if (!deleteSchedule(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  res.json({ success: true });
+});
+
+// Route to run a schedule's search right away, outside its schedule. It is
+// skipped (409) while the schedule's last job is still in progress.
+app.post('/api/schedules/:id/run', (req, res) => {
+  const execution = executeSchedule(req.params.id, { run: runScheduledSearch });
+  
+  if (!execution) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const statusCode = { [EXECUTION_STATUS.STARTED]: 202, [EXECUTION_STATUS.SKIPPED]: 409 }[execution.status] || 500;
+  res.status(statusCode).json({ success: execution.status === EXECUTION_STATUS.STARTED, execution });
+});
+
+// Start the scrape job of a schedule's saved search
+function runScheduledSearch(schedule) {
+  return startScrapeJob(parseScrapeOptions(schedule.search), { scheduleId: schedule.id });
+}
+
+// Route to inspect the shared browser pool
+app.get('/api/browser-pool', (req, res) => {
+  res.json({ success: true, browsers: getBrowserPoolStats() });
+});
+
+// Route to see which selector strategies are filling each field, over time
+// and right now, plus any active drift warnings
+app.get('/api/telemetry/selectors', (req, res) => {
+  const hours = parseInt(req.query.hours, 10) || 24;
+  res.json({ success: true, telemetry: getSelectorTelemetry({ hours }) });
+});
+
+// Admin routes need the ADMIN_TOKEN environment variable to be set and sent
+// back in the X-Admin-Token header
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled' });
+  }
+  if (req.get('X-Admin-Token') !== process.env.ADMIN_TOKEN) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+// Route to see which selector registry version is active
+app.get('/api/admin/selectors', requireAdmin, (req, res) => {
+  res.json({ success: true, registry: getSelectorRegistry() });
+});
+
+// Route to hot-reload the selector registry from disk. A file that fails to
+// load leaves the current registry in place.
+app.post('/api/admin/selectors/reload', requireAdmin, (req, res) => {
+  try {
+    const registry = loadSelectorRegistry();
+    res.json({ success: true, version: registry.version });
+  } catch (error) {
+    console.error('Selector registry reload error:', error);
+    res.status(400).json({ error: 'Failed to reload selector registry', message: error.message });
+  }
+});
+
+// Keep a job's progress counts and partial results in step with the scraper,
+// and relay each step to sockets subscribed to the job
+function recordJobEvent(job, type, data) {
+  switch (type) {
+    case 'urls-collected':
+      job.progress.total = data.total;
+      break;
+    case 'listing-extracted':
+      job.progress.processed++;
+      job.progress.succeeded++;
+      job.results.push(data.record);
+      if (data.record.fieldSources) {
+        addFieldSources(job.fieldSourceStats, data.record.fieldSources);
+        // Card fields are tracked apart from the detail page fields of the same name
+        const telemetrySources = job.params.mode === 'feed'
+          ? Object.fromEntries(Object.entries(data.record.fieldSources).map(([field, label]) => [`${FEED_CARD_FIELD_PREFIX}${field}`, label]))
+          : data.record.fieldSources;
+        recordFieldSources(telemetrySources, data.record.selectorVersion);
+      }
+      break;
+    case 'listing-failed':
+      job.progress.processed++;
+      job.progress.failed++;
+      break;
+    case 'closed-skipped':
+      job.progress.skipped += data.count;
+      break;
+    case 'tile-searched':
+      job.tiles.push(data.tile);
+      break;
+    case 'search-finished':
+      job.searches.push(data.search);
+      break;
+    case 'duplicates-resolved':
+      job.duplicates = data.duplicates;
+      break;
+  }
+  
+  io.to(jobRoom(job.id)).emit('job:progress', {
+    jobId: job.id,
+    type,
+    progress: { ...job.progress },
+    ...data
+  });
+}
+
+function jobRoom(jobId) {
+  return `job:${jobId}`;
+}
+
+// Clients subscribe to a job by ID and get a snapshot of what happened so far
+io.on('connection', (socket) => {
+  socket.on('job:subscribe', (jobId) => {
+    const job = getJob(jobId);
+    
+    if (!job) {
+      socket.emit('job:error', { jobId, error: 'Job not found' });
+      return;
+    }
+    
+    socket.join(jobRoom(jobId));
+    socket.emit('job:snapshot', serializeJob(job));
+  });
+  
+  socket.on('job:unsubscribe', (jobId) => {
+    socket.leave(jobRoom(jobId));
+  });
+});
+
+// Tell subscribers when a job starts, completes or fails
+jobEvents.on('status', (job) => {
+  io.to(jobRoom(job.id)).emit('job:status', serializeJob(job, { includeResults: false }));
+});
+
+// Keep every job as a stored run. A storage failure never fails the job.
+jobEvents.on('status', (job) => {
+  try {
+    saveRun(job);
+  } catch (error) {
+    console.error(`Could not store run ${job.id}:`, error.message);
+  }
+});
+
+// Route to merge records that describe the same business, e.g. the results of
+// several runs
+app.post('/api/dedupe', (req, res) => {
+  const { data } = req.body;
+  
+  if (!Array.isArray(data)) {
+    return res.status(400).json({ error: 'Data must be an array of records' });
+  }
+  
+  let result;
+  try {
+    result = resolveDuplicates(data);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ success: true, records: result.records, duplicates: result.duplicates });
+});
+
 // Route to export data
+// `dataset: "reviews"` exports the records' reviews, one row per review, as CSV or JSON
+// Pass `runId` instead of `data` to export a stored run
 app.post('/api/export', async (req, res) => {
   try {
-    const { data, format } = req.body;
+    const { format, dedupe = true, openAt, dataset = 'businesses', runId } = req.body;
     
-    if (!data || !format) {
+    if (runId && !getRun(runId)) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    if ((!runId && !Array.isArray(req.body.data)) || !format) {
       return res.status(400).json({ error: 'Data and format are required' });
     }
+    if (!runId && !req.body.data.every(isRecord)) {
+      return res.status(400).json({ error: 'Each record must be an object' });
+    }
+    
+    let records = runId ? getRunRecords(runId) : req.body.data;
+    if (openAt) {
+      try {
+        records = filterOpenAt(records, openAt);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
+    // One row per business, even when the data comes from several runs
+    const { records: data, duplicates } = dedupe ? resolveDuplicates(records) : { records, duplicates: [] };
     
     let exportedData;
     let contentType;
     let filename;
     
-    if (format === 'xlsx') {
-      exportedData = await exportToExcel(data);
+    if (dataset === 'reviews') {
+      const reviews = flattenReviews(data);
+      if (format === 'csv') {
+        exportedData = exportReviewsToCSV(reviews);
+        contentType = 'text/csv';
+        filename = 'google_maps_reviews.csv';
+      } else if (format === 'json') {
+        exportedData = Buffer.from(JSON.stringify(reviews, null, 2));
+        contentType = 'application/json';
+        filename = 'google_maps_reviews.json';
+      } else {
+        return res.status(400).json({ error: 'Reviews are exported as CSV or JSON, or as a sheet of the Excel export' });
+      }
+    } else if (dataset !== 'businesses') {
+      return res.status(400).json({ error: 'Dataset must be "businesses" or "reviews"' });
+    } else if (format === 'xlsx') {
+      exportedData = await exportToExcel(data, duplicates);
       contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
       filename = 'google_maps_data.xlsx';
     } else if (format === 'csv') {
@@ -74,31 +565,57 @@ app.post('/api/export', async (req, res) => {
   }
 });
 
+// Request bodies that are not valid JSON (or, like `null`, not an object)
+// get the same JSON error shape as other validation failures
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body must be a JSON object', message: error.message });
+  }
+  next(error);
+});
+
 // Random delay function to mimic human behavior
-const randomDelay = async (page, min = 1000, max = 4000) => {
+const randomDelay = async (min = 1000, max = 4000) => {
   const delay = Math.floor(Math.random() * (max - min)) + min;
-  await page.waitForTimeout(delay);
+  await sleep(delay);
 };
 
 // Main scraping function with improved robustness and error handling
-// Modified to use chrome-aws-lambda for Vercel compatibility
-async function scrapeGoogleMaps(searchQuery, limit) {
-  let browser = null;
+// Runs in an incognito context leased from the shared browser pool
+// `onEvent(type, data)` is called as listings are collected and processed;
+// `concurrency` is how many detail pages are worked on at the same time
+// Pass `browserContext` to run on a context the caller already leased, and
+// `filterListings` to drop collected listings before they are scraped.
+// `location` is where the search was run, used to read national phone numbers,
+// and `reviews` ({ maxReviews, reviewSort }) how many reviews to read per place.
+// With `skipClosed`, listings whose card says they are closed are dropped.
+async function scrapeGoogleMaps(searchQuery, limit, {
+  onEvent = () => {},
+  concurrency = 1,
+  mode = 'details',
+  area = null,
+  location = null,
+  reviews = null,
+  skipClosed = false,
+  browserContext: sharedContext = null,
+  filterListings = null
+} = {}) {
+  let browserContext = sharedContext;
+  let searchPage = null;
+  const timer = createPhaseTimer(searchQuery);
+  // Closed businesses are recognized by their result card
+  const withCards = mode === 'feed' || skipClosed;
   
   try {
     console.log(`Starting Google Maps scraping for: ${searchQuery}`);
     
-    // Launch browser using chrome-aws-lambda for Vercel serverless compatibility
-    browser = await puppeteerCore.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath: await chromium.executablePath,
-      headless: chromium.headless,
-      ignoreHTTPSErrors: true,
-    });
+    // Lease an isolated context from a warm browser
+    if (browserContext === null) {
+      browserContext = await timer.time('acquire browser', () => acquireBrowserContext());
+    }
     
     // Create a new page for the initial search
-    const searchPage = await browser.newPage();
+    searchPage = await browserContext.newPage();
     
     // Set a realistic user agent
     await searchPage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/101.0.4951.67 Safari/537.36');
@@ -110,6 +627,9 @@ async function scrapeGoogleMaps(searchQuery, limit) {
       'Referer': 'https://www.google.com/'
     });
     
+    // Decode the place data that comes with the search results
+    const searchPayloads = capturePlacePayloads(searchPage);
+    
     // Enable request interception for better performance
     await searchPage.setRequestInterception(true);
     searchPage.on('request', (req) => {
@@ -122,585 +642,472 @@ async function scrapeGoogleMaps(searchQuery, limit) {
       }
     });
 
-    console.log(`Navigating to Google Maps and searching for: ${searchQuery}`);
-    await searchPage.goto('https://www.google.com/maps', { waitUntil: 'networkidle2', timeout: 60000 });
-    
-    // Find and type in the search box
-    await searchPage.waitForSelector('#searchboxinput', { timeout: 15000 });
-    await searchPage.type('#searchboxinput', searchQuery);
-    
-    // Add a small delay between typing and pressing Enter to mimic human behavior
-    await randomDelay(searchPage, 800, 2000);
-    
-    await searchPage.keyboard.press('Enter');
-    
-    // Wait for search results to load completely
-    console.log('Waiting for search results to load...');
-    await searchPage.waitForTimeout(8000);
-    
-    // Scroll to load more results until we have the required number of listings URLs
-    console.log(`Scrolling to load at least ${limit} results...`);
-    
-    // Get listing URLs with names from search results
-    const listingUrls = await collectListingUrls(searchPage, limit);
+    let listingUrls;
+    if (area) {
+      // Search the area tile by tile instead of a single search
+      listingUrls = await timer.time('tiles', () => {
+        return collectTiledListings(searchPage, searchQuery, area, limit, { withCards, onEvent });
+      });
+    } else {
+      console.log(`Navigating to Google Maps and searching for: ${searchQuery}`);
+      await timer.time('open maps', () => searchPage.goto('https://www.google.com/maps', { waitUntil: 'networkidle2', timeout: 60000 }));
+      
+      await timer.time('search', async () => {
+        // Find and type in the search box
+        await searchPage.waitForSelector('#searchboxinput', { timeout: 15000 });
+        await searchPage.type('#searchboxinput', searchQuery);
+      
+        // Add a small delay between typing and pressing Enter to mimic human behavior
+        await randomDelay(800, 2000);
+      
+        await searchPage.keyboard.press('Enter');
+      
+        // Wait for the first search results to show up
+        console.log('Waiting for search results to load...');
+        await waitForSearchResults(searchPage);
+      });
+      onEvent('search-loaded', { searchQuery });
+      
+      // Scroll to load more results until we have the required number of listings URLs
+      console.log(`Scrolling to load at least ${limit} results...`);
+      
+      // Get listing URLs with names from search results
+      listingUrls = await timer.time('collect urls', () => {
+        return collectListingUrls(searchPage, limit, onEvent, { withCards });
+      });
+    }
     console.log(`Collected ${listingUrls.length} business listing URLs`);
+    if (skipClosed) {
+      const openListings = listingUrls.filter(({ card }) => !card || !isClosed(card));
+      console.log(`Skipping ${listingUrls.length - openListings.length} closed businesses`);
+      onEvent('closed-skipped', { count: listingUrls.length - openListings.length });
+      listingUrls = openListings;
+    }
+    if (filterListings) {
+      listingUrls = filterListings(listingUrls);
+    }
+    onEvent('urls-collected', { total: listingUrls.length });
+    
+    // In feed mode the result cards are all we use
+    if (mode === 'feed') {
+      const feedData = listingUrls.map(({ name, url, card }, i) => {
+        const record = { name, ...card, url, ...parsePlaceUrl(url) };
+        Object.assign(record, parseAddress(record.address, { location }));
+        onEvent('listing-extracted', { index: i, record });
+        return record;
+      });
+      console.log(`Read ${feedData.length} businesses from the result cards`);
+      console.log(`[timing] ${searchQuery} - summary:`, timer.summary());
+      return feedData;
+    }
     
-    // Now visit each URL and scrape the details
-    const detailedData = [];
+    const searchPlaces = await searchPayloads.settled();
+    console.log(`Decoded ${searchPlaces.size} places from search payloads`);
     
-    for (let i = 0; i < listingUrls.length; i++) {
+    // Now visit the URLs with a bounded pool of detail pages. Results keep
+    // the original listing order; failed listings come back as null.
+    console.log(`Scraping details with ${concurrency} concurrent page(s)`);
+    const pooledResults = await timer.time('details', () => mapWithConcurrency(listingUrls, concurrency, async (listing, i) => {
       try {
-        const { name, url } = listingUrls[i];
-        console.log(`Processing business ${i+1}/${listingUrls.length}: ${name}`);
-        
-        // Create a new page for each listing
-        const detailPage = await browser.newPage();
-        
-        // Configure the detail page
-        await detailPage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/101.0.4951.67 Safari/537.36');
-        await detailPage.setExtraHTTPHeaders({
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-          'Referer': 'https://www.google.com/maps'
-        });
-        
-        // Enable request interception
-        await detailPage.setRequestInterception(true);
-        detailPage.on('request', (req) => {
-          const resourceType = req.resourceType();
-          if (['image', 'font', 'stylesheet', 'media'].includes(resourceType)) {
-            req.abort();
-          } else {
-            req.continue();
-          }
-        });
-        
-        // Navigate to listing URL
-        console.log(`Navigating to URL: ${url}`);
-        await detailPage.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-        
-        // Wait for details panel to load
-        console.log('Waiting for business details to load...');
-        await detailPage.waitForTimeout(8000);
-        
-        // Extract detailed info
-        console.log('Extracting detailed business information...');
-        const detailedInfo = await extractBusinessDetails(detailPage);
-        
-        // Combine basic and detailed info
-        detailedData.push({
-          name,
-          ...detailedInfo
-        });
+        console.log(`Processing business ${i+1}/${listingUrls.length}: ${listing.name}`);
+        onEvent('listing-processing', { index: i, total: listingUrls.length, name: listing.name });
         
-        // Close the detail page to free up resources
-        await detailPage.close();
+        const record = await scrapeListingDetails(browserContext, listing, { searchPlaces, location, reviews });
+        onEvent('listing-extracted', { index: i, record });
         
         // Add some delay between businesses
-        await randomDelay(searchPage, 2000, 5000);
+        await randomDelay(2000, 5000);
         
+        return record;
       } catch (error) {
         console.error(`Error processing business ${i+1}:`, error.message);
-        continue;
+        onEvent('listing-failed', { index: i, name: listing.name, reason: error.message });
+        return null;
       }
-    }
+    }));
+    
+    const detailedData = pooledResults.filter(record => record !== null);
     
     console.log(`Successfully scraped ${detailedData.length} businesses`);
+    console.log(`[timing] ${searchQuery} - summary:`, timer.summary());
     return detailedData;
   } catch (error) {
     console.error('Error during scraping:', error);
     throw error;
   } finally {
-    if (browser !== null) {
-      await browser.close();
+    if (searchPage !== null) {
+      await searchPage.close().catch(() => {});
+    }
+    if (browserContext !== null && browserContext !== sharedContext) {
+      await browserContext.release();
     }
   }
 }
 
-// Improved function to collect all listing URLs from search results
-async function collectListingUrls(page, limit) {
-  const listingUrls = [];
-  let previousUrlCount = 0;
-  let scrollAttempts = 0;
-  const maxScrollAttempts = 30; // Increased max scroll attempts
-  let consecutiveNoNewUrls = 0;
-  const maxConsecutiveNoNewUrls = 5; // Stop after 5 consecutive scrolls with no new URLs
-  
-  while (listingUrls.length < limit && scrollAttempts < maxScrollAttempts && 
-         consecutiveNoNewUrls < maxConsecutiveNoNewUrls) {
-    
-    previousUrlCount = listingUrls.length;
-    
-    // Wait for a moment to ensure all elements have loaded
-    await page.waitForTimeout(2000);
-    
-    // Extract URLs currently visible
-    const newUrls = await page.evaluate(() => {
-      const results = [];
-      // Get all listing links - checking multiple selectors for better reliability
-      const listingLinkSelectors = [
-        'a.hfpxzc', 
-        '.Nv2PK a[href*="/maps/place/"]',
-        'div[role="article"] a[data-value]',
-        'a[jsaction*="mouseup"]',
-        'a[aria-label][href*="/maps/place/"]'
-      ];
-      
-      let listingLinks = [];
-      for (const selector of listingLinkSelectors) {
-        const elements = document.querySelectorAll(selector);
-        if (elements.length > 0) {
-          listingLinks = elements;
-          break;
-        }
-      }
+// Run several searches as one job on a single browser context. Each record
+// lists the searches that found it in `searches`; a place that a later search
+// finds again is not scraped twice, only tagged with that search as well.
+// With `enrichWebsites`, the website of every business is crawled at the end,
+// and with `auditWebsites` it is opened in the browser for a health check.
+async function scrapeSearchPairs(pairs, limit, { onEvent = () => {}, enrichWebsites = false, auditWebsites = false, ...options } = {}) {
+  const places = new Map();
+  let browserContext = null;
+  let listingsBefore = 0;
+  let failedSearches = 0;
+  let lastError = null;
+  
+  try {
+    browserContext = await acquireBrowserContext();
+    
+    for (const [pairIndex, pair] of pairs.entries()) {
+      const search = { query: pair.query, location: pair.location };
+      let duplicates = 0;
+      let listingCount = 0;
+      onEvent('search-started', { pairIndex, pairs: pairs.length, ...search });
       
-      listingLinks.forEach(link => {
-        const url = link.href;
-        
-        // Try to extract name from different attributes
-        let name = link.getAttribute('aria-label');
-        
-        if (!name) {
-          // Try to find name in nearby elements
-          const nearbyHeading = link.closest('div').querySelector('div[role="heading"], h3, h2, h1');
-          if (nearbyHeading) {
-            name = nearbyHeading.textContent.trim();
-          } else {
-            // Use some content from the link or its parent
-            name = (link.textContent || link.closest('div').textContent || '').trim();
-            // Limit to first line if multiple lines
-            name = name.split('\n')[0].trim();
+      try {
+        await scrapeGoogleMaps(pairSearchText(pair), limit, {
+          ...options,
+          location: pair.location,
+          browserContext,
+          filterListings: (listings) => listings.filter((listing) => {
+            const known = places.get(placeKey(listing));
+            if (!known) return true;
+            if (!known.searches.some(({ query, location }) => query === search.query && location === search.location)) {
+              known.searches.push(search);
+            }
+            duplicates++;
+            return false;
+          }),
+          // Number listings across the whole job rather than per search
+          onEvent: (type, data) => {
+            if (type === 'urls-collected') {
+              listingCount = data.total;
+              onEvent(type, { ...data, total: listingsBefore + data.total });
+              return;
+            }
+            if (type === 'listing-extracted') {
+              data.record.searches = [search];
+              places.set(placeKey({ url: data.record.url }), data.record);
+            }
+            const index = data.index === undefined ? undefined : listingsBefore + data.index;
+            const total = data.total === undefined ? undefined : listingsBefore + data.total;
+            onEvent(type, { ...data, index, total });
           }
-        }
-        
-        // Only add if we have both URL and name
-        if (url && name && url.includes('/maps/place/')) {
-          results.push({ name, url });
-        }
-      });
-      
-      return results;
-    });
-    
-    // Add new unique URLs to our collection
-    let addedNewUrls = false;
-    for (const item of newUrls) {
-      // Check if URL already exists in listingUrls array
-      if (!listingUrls.some(existing => existing.url === item.url)) {
-        listingUrls.push(item);
-        addedNewUrls = true;
-        if (listingUrls.length >= limit) break;
+        });
+        onEvent('search-finished', { pairIndex, search: { ...search, listings: listingCount, duplicates, error: null } });
+      } catch (error) {
+        console.error(`Search "${pairSearchText(pair)}" failed:`, error.message);
+        failedSearches++;
+        lastError = error;
+        onEvent('search-finished', { pairIndex, search: { ...search, listings: listingCount, duplicates, error: error.message } });
       }
-    }
-    
-    console.log(`Found ${listingUrls.length}/${limit} URLs after scroll #${scrollAttempts + 1}`);
-    
-    // Track if we found new URLs
-    if (addedNewUrls) {
-      consecutiveNoNewUrls = 0;
-    } else {
-      consecutiveNoNewUrls++;
-      console.log(`No new URLs found for ${consecutiveNoNewUrls} consecutive scrolls`);
-    }
-    
-    // Scroll to load more results if needed
-    if (listingUrls.length < limit) {
-      await improvedAutoScroll(page);
-      scrollAttempts++;
       
-      // Wait longer after each scroll to ensure results load
-      const waitTime = 3000 + (scrollAttempts * 500); // Gradually increase wait time
-      await page.waitForTimeout(waitTime);
+      listingsBefore += listingCount;
+    }
+  } finally {
+    if (browserContext !== null) {
+      await browserContext.release();
     }
   }
   
-  // Return only up to the limit requested
-  return listingUrls.slice(0, limit);
+  if (failedSearches === pairs.length) {
+    throw lastError;
+  }
+  
+  // Places found under different URLs or names are merged here
+  const { records, duplicates } = resolveDuplicates(Array.from(places.values()));
+  console.log(`Merged ${places.size - records.length} duplicate records into ${duplicates.length} businesses`);
+  onEvent('duplicates-resolved', { duplicates });
+  
+  // Visit each business's own website for emails, phones and social profiles
+  let results = records;
+  if (enrichWebsites) {
+    results = await mapWithConcurrency(results, options.concurrency || 1, async (record, index) => {
+      let enriched;
+      try {
+        enriched = await enrichRecord(record);
+      } catch (error) {
+        // One bad website must not fail the whole job
+        console.error(`Website crawl failed for ${record.name}:`, error.message);
+        enriched = { ...record, emails: [], extraPhones: [], socialProfiles: [], crawledPages: [], crawlError: error.message };
+      }
+      onEvent('website-crawled', {
+        index,
+        total: records.length,
+        name: enriched.name,
+        pages: enriched.crawledPages.length,
+        emails: enriched.emails.length,
+        error: enriched.crawlError
+      });
+      return enriched;
+    });
+  }
+  if (auditWebsites) {
+    results = await auditRecordWebsites(results, { concurrency: options.concurrency || 1, onEvent });
+  }
+  return results;
 }
 
-// Improved auto scroll function with better detection of scrollable elements
-async function improvedAutoScroll(page) {
-  return await page.evaluate(async () => {
-    // Try different selectors for the scrollable container
-    const scrollableSelectors = [
-      'div[role="feed"]',
-      'div.m6QErb[role="region"]',
-      'div.m6QErb',
-      'div.section-scrollbox',
-      'div.ecceSd',
-      '.m6QErb-tempH0gTDc',
-      '.DxyBCb',
-      '.kA9KIf',
-      '[aria-label="Results for"]',
-      'div[jsaction*="scroll"]'
-    ];
-    
-    let scrollableElement = null;
-    
-    // Find the first valid scrollable element
-    for (const selector of scrollableSelectors) {
-      const element = document.querySelector(selector);
-      if (element && element.scrollHeight > element.clientHeight) {
-        scrollableElement = element;
-        break;
-      }
-    }
-    
-    // If no specific element found, try the document body
-    if (!scrollableElement) {
-      scrollableElement = document.scrollingElement || document.documentElement;
-    }
-    
-    const scrollHeight = scrollableElement.scrollHeight;
-    const windowHeight = window.innerHeight || scrollableElement.clientHeight;
-    const scrollDistance = windowHeight * 0.7; // Scroll 70% of visible window
-    
-    // Starting position
-    const startY = scrollableElement.scrollTop;
-    const endY = Math.min(startY + scrollDistance, scrollHeight - windowHeight);
-    
-    // Smooth scroll in small steps
-    const steps = 15;
-    const stepSize = (endY - startY) / steps;
-    
-    for (let i = 1; i <= steps; i++) {
-      scrollableElement.scrollTop = startY + (stepSize * i);
-      // Small pause between each scroll step
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    
-    return true; // Return success
-  });
+// Run the website health audit for every record on a freshly leased browser
+// context, emitting a 'website-audited' event per record
+async function auditRecordWebsites(records, { concurrency = 1, onEvent = () => {} } = {}) {
+  const browserContext = await acquireBrowserContext();
+  try {
+    return await mapWithConcurrency(records, concurrency, async (record, index) => {
+      const audit = await auditWebsite(browserContext, record.website);
+      onEvent('website-audited', {
+        index,
+        total: records.length,
+        name: record.name,
+        health: audit.websiteHealth,
+        error: audit.websiteError
+      });
+      return { ...record, ...audit };
+    });
+  } finally {
+    await browserContext.release();
+  }
 }
 
-// Function to extract detailed business information with more reliable selectors
-async function extractBusinessDetails(page) {
-  return await page.evaluate(() => {
-    const details = {};
-    
-    // More robust name extraction
-    const nameSelectors = [
-      'h1.fontHeadlineLarge', 
-      'div[role="main"] div[role="heading"]',
-      'h1.DUwDvf',
-      'h1.x3AX1-LfntMc-header-title-title',
-      'div.x3AX1-LfntMc-header-title-title',
-      'div.qBF1Pd-haAclf'
-    ];
-    
-    for (const selector of nameSelectors) {
-      const nameElement = document.querySelector(selector);
-      if (nameElement) {
-        details.name = nameElement.textContent.trim();
-        break;
-      }
-    }
-    
-    // Extract address - multiple strategies
-    const addressSelectors = [
-      'button[data-item-id="address"]',
-      'button[jsaction*="address"]',
-      'button[aria-label*="Address"]',
-      'button.CsEnBe[aria-label]',
-      'div[role="button"][aria-label*="Address"]'
-    ];
-    
-    details.address = 'N/A';
-    for (const selector of addressSelectors) {
-      const addressElement = document.querySelector(selector);
-      if (addressElement) {
-        const addressDiv = addressElement.querySelector('.Io6YTe');
-        if (addressDiv) {
-          details.address = addressDiv.textContent.trim();
-          break;
-        } else {
-          details.address = addressElement.textContent.trim();
-          break;
-        }
-      }
-    }
-    
-    // Extract phone number - multiple strategies
-    const phoneSelectors = [
-      'button[data-item-id^="phone:tel:"]',
-      'button[aria-label*="Phone"]',
-      'div[role="button"][aria-label*="Phone"]',
-      'a[data-item-id^="phone"]',
-      'a[href^="tel:"]'
-    ];
-    
-    details.phone = 'N/A';
-    for (const selector of phoneSelectors) {
-      const phoneElement = document.querySelector(selector);
-      if (phoneElement) {
-        const phoneDiv = phoneElement.querySelector('.Io6YTe');
-        if (phoneDiv) {
-          details.phone = phoneDiv.textContent.trim();
-          break;
-        } else if (phoneElement.href && phoneElement.href.startsWith('tel:')) {
-          details.phone = phoneElement.href.replace('tel:', '');
-          break;
-        } else {
-          details.phone = phoneElement.textContent.trim();
-          break;
-        }
-      }
-    }
-    
-    // Extract website - multiple strategies
-    const websiteSelectors = [
-      'a[data-item-id="authority"]',
-      'a[aria-label*="website"]',
-      'a[aria-label*="Website"]',
-      'a[href^="https://"][data-item-id]',
-      'div[role="button"][aria-label*="website"]'
-    ];
-    
-    details.website = 'N/A';
-    for (const selector of websiteSelectors) {
-      const websiteElement = document.querySelector(selector);
-      if (websiteElement) {
-        const websiteDiv = websiteElement.querySelector('.Io6YTe');
-        if (websiteDiv) {
-          details.website = websiteDiv.textContent.trim();
-          break;
-        } else if (websiteElement.href && !websiteElement.href.includes('google.com')) {
-          details.website = websiteElement.href;
-          break;
-        } else {
-          details.website = websiteElement.textContent.trim();
-          break;
-        }
+// Search an area tile by tile. Tiles that come back (nearly) full are split
+// into four and searched again, up to MAX_TILE_DEPTH levels down. A tile is
+// scrolled only for as many results as are still needed. Listings are merged
+// across tiles by place, and each searched tile is reported with a
+// 'tile-searched' event.
+async function collectTiledListings(page, query, { bounds, grid }, limit, { withCards = false, onEvent = () => {} } = {}) {
+  const listings = new Map();
+  const queue = splitBounds(bounds, grid).map(tile => ({ bounds: tile, depth: 0 }));
+  let searched = 0;
+  let loaded = false;
+  
+  while (queue.length > 0 && listings.size < limit) {
+    const { bounds: tileBounds, depth } = queue.shift();
+    const tile = {
+      index: searched++,
+      depth,
+      bounds: tileBounds,
+      zoom: zoomForBounds(tileBounds),
+      found: 0,
+      added: 0,
+      full: false,
+      subdivided: false,
+      error: null
+    };
+    
+    try {
+      await page.goto(tileSearchUrl(query, tileBounds), { waitUntil: 'domcontentloaded', timeout: 60000 });
+      try {
+        await waitForSearchResults(page);
+      } catch (error) {
+        // Maps shows no feed at all when nothing matches in the viewport
+        if (error.name !== 'TimeoutError') throw error;
       }
-    }
-    
-    // Extract rating - multiple approaches
-    // Method 1: Look for specific rating containers
-    const ratingSelectors = [
-      'span.ceJTW', 
-      'span.ODSEW-ShBeI-H1e3jb',
-      'span[aria-hidden="true"][role="img"]',
-      'div.F7nice',
-      'span.iRCJncVPvXIc4GMcvvB9'
-    ];
-    
-    details.rating = 'N/A';
-    
-    for (const selector of ratingSelectors) {
-      const ratingElement = document.querySelector(selector);
-      if (ratingElement && ratingElement.textContent) {
-        const ratingText = ratingElement.textContent.trim();
-        const ratingMatch = ratingText.match(/^\d(\.\d)?$/);
-        if (ratingMatch) {
-          details.rating = ratingText;
-          break;
-        }
+      if (!loaded) {
+        loaded = true;
+        onEvent('search-loaded', { searchQuery: query });
       }
-    }
-    
-    // Method 2: Look for patterns in spans
-    if (details.rating === 'N/A') {
-      const ratingSpans = Array.from(document.querySelectorAll('span'));
-      const ratingSpan = ratingSpans.find(span => {
-        const text = span.textContent.trim();
-        return text.length <= 3 && text.match(/^\d(\.\d)?$/) && parseFloat(text) <= 5;
-      });
       
-      if (ratingSpan) {
-        details.rating = ratingSpan.textContent.trim();
-      }
-    }
-    
-    // Extract reviews count - multiple approaches
-    details.reviews = 'N/A';
-    
-    // Method 1: Look for review text near rating
-    const reviewContainers = document.querySelectorAll('span.F7nice, div.F7nice, div.review-score');
-    for (const container of reviewContainers) {
-      const text = container.textContent;
-      const reviewsMatch = text.match(/(\d{1,3}(?:,\d{3})*)\s*reviews?/i);
-      if (reviewsMatch && reviewsMatch[1]) {
-        details.reviews = reviewsMatch[1];
-        break;
-      }
-    }
-    
-    // Method 2: Parse the entire body text
-    if (details.reviews === 'N/A') {
-      const pageText = document.body.innerText;
-      const reviewsMatches = [
-        pageText.match(/(\d{1,3}(?:,\d{3})*)\s*reviews?/i),
-        pageText.match(/reviews?[^0-9]*(\d{1,3}(?:,\d{3})*)/i)
-      ];
+      // Scroll only for the results still needed
+      const scrollTarget = Math.min(TILE_RESULT_CAP, limit - listings.size);
+      const tileListings = await collectListingUrls(page, scrollTarget, () => {}, { withCards });
+      tile.found = tileListings.length;
       
-      for (const match of reviewsMatches) {
-        if (match && match[1]) {
-          details.reviews = match[1];
-          break;
+      for (const listing of tileListings) {
+        // Results around the viewport's edges can lie outside the area
+        const identity = parsePlaceUrl(listing.url);
+        if (identity.latitude !== null && !containsPoint(bounds, identity)) continue;
+        
+        const key = placeKey(listing);
+        if (!listings.has(key) && listings.size < limit) {
+          listings.set(key, listing);
+          tile.added++;
         }
       }
+      
+      // Full means Maps' own cap was reached, not the scroll target. The feed
+      // stops short of the cap now and then, so count nearly full as full.
+      // Once enough listings are in, no tile needs splitting.
+      tile.full = tile.found >= TILE_RESULT_CAP * 0.9;
+      if (tile.full && depth < MAX_TILE_DEPTH && listings.size < limit) {
+        queue.push(...splitBounds(tileBounds, 2).map(child => ({ bounds: child, depth: depth + 1 })));
+        tile.subdivided = true;
+      }
+    } catch (error) {
+      console.error(`Error searching tile ${tile.index}:`, error.message);
+      tile.error = error.message;
     }
     
-    // Extract business hours - multiple approaches
-    const hoursData = [];
-    
-    // Method 1: Look for the hours table
-    const hoursTableSelectors = [
-      'table.eK4R0e', 
-      'table.WgFkxc', 
-      'div[role="region"][aria-label*="hour"]'
-    ];
+    console.log(`Tile ${tile.index} (depth ${depth}, zoom ${tile.zoom}): ${tile.found} found, ${tile.added} new` +
+      (tile.subdivided ? ', subdividing' : ''));
+    onEvent('tile-searched', { tile, collected: listings.size, remainingTiles: queue.length });
+    onEvent('urls-progress', { collected: listings.size, limit });
+  }
+  
+  return Array.from(listings.values());
+}
+
+// Open a listing in its own page and extract its details. Place data decoded
+// from Maps' own payloads is preferred; the DOM fills gaps and cross-checks it.
+// With `reviews`, the place's reviews are read afterwards into `reviewList`.
+async function scrapeListingDetails(browserContext, { name, url }, { searchPlaces = new Map(), location = null, reviews = null } = {}) {
+  const detailPage = await browserContext.newPage();
+  
+  try {
+    const detailPayloads = capturePlacePayloads(detailPage);
     
-    let foundHours = false;
-    
-    for (const selector of hoursTableSelectors) {
-      const hoursTable = document.querySelector(selector);
-      if (hoursTable) {
-        const rows = hoursTable.querySelectorAll('tr.y0skZc, tr');
-        rows.forEach(row => {
-          const day = row.querySelector('.ylH6lf, .x4hIce')?.textContent.trim();
-          const hours = row.querySelector('.mxowUb, .G8aQO')?.textContent.trim();
-          
-          if (day && hours) {
-            hoursData.push(`${day}: ${hours}`);
-            foundHours = true;
-          }
-        });
-        
-        if (foundHours) {
-          details.hours = hoursData.join('; ');
-          break;
-        }
-      }
-    }
+    // Configure the detail page
+    await detailPage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/101.0.4951.67 Safari/537.36');
+    await detailPage.setExtraHTTPHeaders({
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+      'Referer': 'https://www.google.com/maps'
+    });
     
-    // Method 2: Look for an hours section
-    if (!foundHours) {
-      const hoursSelectors = ['.OMl5r', '.VaxuYe', '.G8aQO', '[aria-label*="hour"]'];
-      for (const selector of hoursSelectors) {
-        const hoursSection = document.querySelector(selector);
-        if (hoursSection) {
-          details.hours = hoursSection.textContent.trim();
-          foundHours = true;
-          break;
-        }
+    // Enable request interception
+    await detailPage.setRequestInterception(true);
+    detailPage.on('request', (req) => {
+      const resourceType = req.resourceType();
+      if (['image', 'font', 'stylesheet', 'media'].includes(resourceType)) {
+        req.abort();
+      } else {
+        req.continue();
       }
-    }
-    
-    if (!foundHours) {
-      details.hours = 'N/A';
-    }
+    });
     
-    // Try to find email - this is challenging as emails are rarely directly available
-    const pageText = document.body.innerText;
-    const emailRegex = /[\w.-]+@[\w.-]+\.\w+/;
-    const emailMatch = pageText.match(emailRegex);
-    details.email = emailMatch ? emailMatch[0] : 'N/A';
-    
-    // Extract business category - try multiple approaches
-    let category = 'N/A';
-    
-    // Method 1: Look for category links
-    const categorySelectors = [
-      'a.CsEnBe', 
-      'button[jsaction*="pane.rating.category"]',
-      'button.DkEaL',
-      'span[jsaction*="category"]',
-      'button[aria-label*="categor"]'
-    ];
+    const timer = createPhaseTimer(name);
     
-    for (const selector of categorySelectors) {
-      const elements = document.querySelectorAll(selector);
-      elements.forEach(element => {
-        const text = element.textContent.trim();
-        if (text && text.length < 30 && !text.includes('http') && !text.includes('@') && !text.match(/^\d/) &&
-            text !== "Menu" && text !== details.website && !text.includes("Phone:")) {
-          category = text;
-        }
-      });
-      
-      if (category !== 'N/A') break;
-    }
+    // Navigate to listing URL
+    console.log(`Navigating to URL: ${url}`);
+    await timer.time('navigate', () => detailPage.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 }));
     
-    // Method 2: Look for category in main content
-    if (category === 'N/A') {
-      const categoryTextMatches = [
-        pageText.match(/Category:\s*([^.,;]+)/i),
-        pageText.match(/Type:\s*([^.,;]+)/i)
-      ];
-      
-      for (const match of categoryTextMatches) {
-        if (match && match[1]) {
-          category = match[1].trim();
-          break;
-        }
-      }
-    }
+    // Wait for details panel to load
+    console.log('Waiting for business details to load...');
+    await timer.time('wait for details', () => waitForPlaceDetails(detailPage));
     
-    details.category = category;
+    // Extract detailed info
+    console.log('Extracting detailed business information...');
+    const detailedInfo = await timer.time('extract', () => extractBusinessDetails(detailPage));
     
-    // Extract additional attributes (LGBTQ+ friendly, Latino-owned, etc.)
-    const attributes = [];
-    const attributeSelectors = [
-      '.RcCsl .AeaXub .Io6YTe span',
-      '.ggc0ld .Io6YTe',
-      '.q5X0Ue',
-      'div.PODJx'
-    ];
+    // Find this place in the payloads: the detail page's own responses, the
+    // data it was opened with, then the search results
+    const payloadPlace = await timer.time('decode payloads', async () => {
+      const dataId = dataIdFromUrl(url);
+      const detailPlaces = await detailPayloads.settled();
+      const initialPlaces = await readInitialStatePlaces(detailPage);
+      return detailPlaces.get(dataId) || initialPlaces.get(dataId) || searchPlaces.get(dataId) || null;
+    });
     
-    for (const selector of attributeSelectors) {
-      const attributeElements = document.querySelectorAll(selector);
-      attributeElements.forEach(attr => {
-        const text = attr.textContent.trim();
-        if (text && text !== details.name && text !== details.address && 
-            text !== details.phone && text !== details.website &&
-            text !== category && text.length < 50) {
-          attributes.push(text);
-        }
-      });
-    }
+    // Combine basic and detailed info
+    const merged = mergePayloadWithDom({ name, ...detailedInfo, url, ...parsePlaceUrl(url) }, payloadPlace);
+    const record = normalizeRecordPhone({ ...merged, ...parseAddress(merged.address, { location }) }, { location, region: mapsRegion(url) });
+    record.openingHours = parseHours(record.hours);
     
-    if (attributes.length > 0) {
-      details.attributes = attributes.join(', ');
+    if (record.crossCheck.length > 0) {
+      console.warn(`Payload and DOM disagree for ${name}:`, record.crossCheck.map(({ field }) => field).join(', '));
     }
     
-    // Extract price range if available
-    const priceSelectors = [
-      '.MNVeJb',
-      'span.mgr77e',
-      'span[aria-label*="Price"]'
-    ];
-    
-    for (const selector of priceSelectors) {
-      const priceElement = document.querySelector(selector);
-      if (priceElement) {
-        details.priceRange = priceElement.textContent.trim().split('Reported by')[0].trim();
-        break;
+    // Reviews are read last since opening their tab replaces the overview.
+    // A failure here keeps the business, without its reviews.
+    if (reviews && reviews.maxReviews > 0) {
+      try {
+        const list = await timer.time('reviews', () => {
+          return collectReviews(detailPage, { maxReviews: reviews.maxReviews, sort: reviews.reviewSort });
+        });
+        record.reviewList = linkReviews(record, list);
+        console.log(`Read ${list.length} reviews for ${name}`);
+      } catch (error) {
+        console.warn(`Could not read reviews for ${name}:`, error.message);
+        record.reviewList = [];
       }
     }
     
-    return details;
-  });
+    return record;
+  } finally {
+    // Close the detail page to free up resources, even if extraction failed
+    await detailPage.close().catch(() => {});
+  }
+}
+
+// Records open at an `openAt` time such as "tuesday 18:30". Records whose
+// hours are unknown are left out.
+function filterOpenAt(records, openAt) {
+  const when = parseOpenAt(openAt);
+  return records.filter(record => isOpenAt(record.openingHours || parseHours(record.hours), when) === true);
+}
+
+// One export cell per weekday, e.g. { monday: '09:00–17:00', sunday: 'Closed' }
+function dayColumns(record) {
+  const week = record.openingHours || parseHours(record.hours) || {};
+  return Object.fromEntries(DAYS.map(day => [day, formatDayHours(week[day])]));
+}
+
+// Export cells for what the website crawl found; the source pages stay in the JSON
+function contactColumns(record) {
+  const list = items => (Array.isArray(items) && items.length > 0 ? items.map(({ value }) => value).join('; ') : 'N/A');
+  return {
+    emails: list(record.emails),
+    extraPhones: list(record.extraPhones),
+    ...Object.fromEntries(SOCIAL_NETWORKS.map(({ network }) => [network, socialProfileUrl(record, network)]))
+  };
 }
 
+// Columns of the reviews sheet and the reviews CSV
+const REVIEW_COLUMNS = [
+  { header: 'Business', key: 'businessName', width: 30 },
+  { header: 'Place Key', key: 'placeKey', width: 30 },
+  { header: 'Review ID', key: 'reviewId', width: 25 },
+  { header: 'Author', key: 'author', width: 25 },
+  { header: 'Local Guide', key: 'localGuide', width: 12 },
+  { header: 'Stars', key: 'stars', width: 8 },
+  { header: 'Date', key: 'date', width: 15 },
+  { header: 'Text', key: 'text', width: 60 },
+  { header: 'Owner Response', key: 'ownerResponse', width: 60 }
+];
+
 // Export data to Excel
-async function exportToExcel(data) {
+async function exportToExcel(data, duplicates = []) {
   const workbook = new ExcelJS.Workbook();
   const worksheet = workbook.addWorksheet('Google Maps Data');
   
   const columns = [
     { header: 'Name', key: 'name', width: 30 },
     { header: 'Address', key: 'address', width: 40 },
+    { header: 'Street', key: 'street', width: 30 },
+    { header: 'Locality', key: 'locality', width: 20 },
+    { header: 'Region', key: 'region', width: 10 },
+    { header: 'Postal Code', key: 'postalCode', width: 12 },
+    { header: 'Country', key: 'country', width: 8 },
     { header: 'Phone', key: 'phone', width: 20 },
+    { header: 'Phone (Display)', key: 'phoneDisplay', width: 20 },
+    { header: 'Phone Status', key: 'phoneStatus', width: 12 },
     { header: 'Website', key: 'website', width: 30 },
     { header: 'Email', key: 'email', width: 30 },
+    { header: 'Emails', key: 'emails', width: 40 },
+    { header: 'Extra Phones', key: 'extraPhones', width: 30 },
+    ...SOCIAL_NETWORKS.map(({ network, label }) => ({ header: label, key: network, width: 30 })),
+    { header: 'Website Health', key: 'websiteHealth', width: 15 },
+    { header: 'Website Status', key: 'websiteStatus', width: 14 },
+    { header: 'Final URL', key: 'websiteFinalUrl', width: 40 },
+    { header: 'HTTPS', key: 'websiteHttps', width: 10 },
+    { header: 'Mobile Viewport', key: 'websiteMobileViewport', width: 15 },
+    { header: 'Page Title', key: 'websiteTitle', width: 40 },
+    { header: 'Meta Description', key: 'websiteDescription', width: 50 },
+    { header: 'Load Time (ms)', key: 'websiteLoadTime', width: 14 },
     { header: 'Rating', key: 'rating', width: 10 },
     { header: 'Reviews', key: 'reviews', width: 10 },
     { header: 'Hours', key: 'hours', width: 40 },
     { header: 'Category', key: 'category', width: 20 },
+    { header: 'Status', key: 'operationalStatus', width: 20 },
+    { header: 'Claimed', key: 'claimed', width: 10 },
     { header: 'Price Range', key: 'priceRange', width: 15 },
-    { header: 'Attributes', key: 'attributes', width: 30 }
+    { header: 'Attributes', key: 'attributes', width: 30 },
+    { header: 'Latitude', key: 'latitude', width: 12 },
+    { header: 'Longitude', key: 'longitude', width: 12 },
+    { header: 'Place ID', key: 'placeId', width: 30 },
+    { header: 'CID', key: 'cid', width: 22 },
+    { header: 'Found By', key: 'searches', width: 40 },
+    ...DAYS.map(day => ({ header: day[0].toUpperCase() + day.slice(1), key: day, width: 18 }))
   ];
   
   worksheet.columns = columns;
@@ -716,7 +1123,12 @@ async function exportToExcel(data) {
   worksheet.getRow(1).font = { color: { argb: 'FFFFFFFF' } };
   
   // Add rows
-  worksheet.addRows(data);
+  worksheet.addRows(data.map(record => ({
+    ...record,
+    searches: formatSearches(record.searches),
+    ...contactColumns(record),
+    ...dayColumns(record)
+  })));
   
   // Auto filter
   worksheet.autoFilter = {
@@ -724,14 +1136,126 @@ async function exportToExcel(data) {
     to: { row: 1, column: columns.length }
   };
   
+  // One row per review, linked to its business by place key
+  const reviews = flattenReviews(data);
+  if (reviews.length > 0) {
+    const reviewsSheet = workbook.addWorksheet('Reviews');
+    reviewsSheet.columns = REVIEW_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+    reviewsSheet.getRow(1).font = { bold: true };
+    reviewsSheet.addRows(reviews);
+  }
+  
+  // One row per place per day of its busyness histogram
+  const busyRows = data.flatMap(popularTimesRows);
+  if (busyRows.length > 0) {
+    const busySheet = workbook.addWorksheet('Popular Times');
+    busySheet.columns = [
+      { header: 'Business', key: 'name', width: 30 },
+      { header: 'Place ID', key: 'placeId', width: 30 },
+      { header: 'Day', key: 'day', width: 12 },
+      ...Array.from({ length: 24 }, (value, hour) => ({ header: `${hour}:00`, key: `h${hour}`, width: 6 })),
+      { header: 'Live Hour', key: 'liveHour', width: 10 },
+      { header: 'Live Busyness', key: 'liveBusyness', width: 13 }
+    ];
+    busySheet.getRow(1).font = { bold: true };
+    busySheet.addRows(busyRows);
+  }
+  
+  // Which rows were merged into each business
+  if (duplicates.length > 0) {
+    const duplicatesSheet = workbook.addWorksheet('Duplicates');
+    duplicatesSheet.columns = [
+      { header: 'Business', key: 'business', width: 30 },
+      { header: 'Merged Name', key: 'name', width: 30 },
+      { header: 'Merged Address', key: 'address', width: 40 },
+      { header: 'Matched On', key: 'matchedOn', width: 15 },
+      { header: 'URL', key: 'url', width: 50 }
+    ];
+    duplicatesSheet.getRow(1).font = { bold: true };
+    for (const duplicate of duplicates) {
+      duplicatesSheet.addRows(duplicate.records.map(record => ({ business: duplicate.name, ...record })));
+    }
+  }
+  
   // Return as buffer
   return await workbook.xlsx.writeBuffer();
 }
 
+// Export a change report between two runs to Excel: a summary, the new and
+// the disappeared businesses, and one row per changed field
+async function exportChangesToExcel(report) {
+  const workbook = new ExcelJS.Workbook();
+  
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Item', key: 'item', width: 25 },
+    { header: 'Value', key: 'value', width: 40 }
+  ];
+  summarySheet.addRows([
+    { item: 'Searches', value: formatSearches(report.searches) },
+    { item: 'Earlier Run', value: `${report.from.id} (${report.from.createdAt})` },
+    { item: 'Later Run', value: `${report.to.id} (${report.to.createdAt})` },
+    { item: 'Businesses Before', value: report.summary.previousBusinesses },
+    { item: 'Businesses After', value: report.summary.currentBusinesses },
+    { item: 'New', value: report.summary.added },
+    { item: 'Disappeared', value: report.summary.removed },
+    { item: 'Changed', value: report.summary.changed },
+    { item: 'Unchanged', value: report.summary.unchanged }
+  ]);
+  
+  const businessColumns = [
+    { header: 'Name', key: 'name', width: 30 },
+    { header: 'Address', key: 'address', width: 40 },
+    { header: 'Category', key: 'category', width: 20 },
+    { header: 'Rating', key: 'rating', width: 10 },
+    { header: 'Reviews', key: 'reviews', width: 10 },
+    { header: 'Status', key: 'operationalStatus', width: 20 },
+    { header: 'Place Key', key: 'placeKey', width: 35 }
+  ];
+  for (const [title, rows] of [['New', report.added], ['Disappeared', report.removed]]) {
+    const sheet = workbook.addWorksheet(title);
+    sheet.columns = businessColumns;
+    sheet.addRows(rows);
+  }
+  
+  const changesSheet = workbook.addWorksheet('Changes');
+  changesSheet.columns = [
+    { header: 'Name', key: 'name', width: 30 },
+    { header: 'Address', key: 'address', width: 40 },
+    { header: 'Field', key: 'field', width: 18 },
+    { header: 'Before', key: 'before', width: 40 },
+    { header: 'After', key: 'after', width: 40 },
+    { header: 'Delta', key: 'delta', width: 10 },
+    { header: 'Place Key', key: 'placeKey', width: 35 }
+  ];
+  changesSheet.addRows(report.changed.flatMap(({ placeKey: key, name, address, changes }) => {
+    return changes.map(change => ({ name, address, placeKey: key, ...change }));
+  }));
+  changesSheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: 7 } };
+  
+  for (const sheet of workbook.worksheets) {
+    sheet.getRow(1).font = { bold: true };
+  }
+  
+  return await workbook.xlsx.writeBuffer();
+}
+
 // Export data to CSV
 function exportToCSV(data) {
   try {
-    const fields = ['name', 'address', 'phone', 'website', 'email', 'rating', 'reviews', 'hours', 'category', 'priceRange', 'attributes'];
+    const fields = [
+      'name', 'address', 'street', 'locality', 'region', 'postalCode', 'country',
+      'phone', 'phoneDisplay', 'phoneStatus', 'website', 'email',
+      ...['emails', 'extraPhones', ...SOCIAL_NETWORKS.map(({ network }) => network)]
+        .map(key => ({ label: key, value: record => contactColumns(record)[key] })),
+      'websiteHealth', 'websiteStatus', 'websiteFinalUrl', 'websiteHttps', 'websiteMobileViewport',
+      'websiteTitle', 'websiteDescription', 'websiteLoadTime',
+      'rating', 'reviews', 'hours', 'category',
+      'operationalStatus', 'claimed', 'priceRange', 'attributes',
+      'latitude', 'longitude', 'placeId', 'cid',
+      { label: 'searches', value: record => formatSearches(record.searches) },
+      ...DAYS.map(day => ({ label: day, value: record => dayColumns(record)[day] }))
+    ];
     const parser = new Parser({ fields });
     return parser.parse(data);
   } catch (error) {
@@ -740,13 +1264,38 @@ function exportToCSV(data) {
   }
 }
 
+// Export reviews to CSV
+function exportReviewsToCSV(reviews) {
+  const parser = new Parser({ fields: REVIEW_COLUMNS.map(({ key }) => key) });
+  return parser.parse(reviews);
+}
+
 // Add serverless function handler for Vercel
 module.exports = app;
 
 // Only start the server in development, not needed for Vercel deployment
 if (process.env.NODE_ENV !== 'production') {
-  app.listen(PORT, () => {
+  server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Open http://localhost:${PORT} in your browser`);
+    try {
+      startScheduler(runScheduledSearch);
+    } catch (error) {
+      console.error('Could not start the scheduler:', error.message);
+    }
   });
 }
+
+// Stop taking connections and close pooled browsers before exiting
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down...`);
+  server.close();
+  io.close();
+  stopScheduler();
+  await closeBrowserPool();
+  closeRunStore();
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
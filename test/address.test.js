@@ -0,0 +1,55 @@
+// test/address.test.js - Tests for splitting addresses into their parts
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseAddress } = require('../lib/address');
+
+test('parseAddress reads US and Canadian addresses', () => {
+  assert.deepStrictEqual(parseAddress('205 E Houston St, New York, NY 10002, United States'), {
+    street: '205 E Houston St', locality: 'New York', region: 'NY', postalCode: '10002', country: 'US'
+  });
+  assert.deepStrictEqual(parseAddress('290 Bremner Blvd, Toronto, ON M5V 3L9, Canada'), {
+    street: '290 Bremner Blvd', locality: 'Toronto', region: 'ON', postalCode: 'M5V 3L9', country: 'CA'
+  });
+  assert.deepStrictEqual(parseAddress('Suite 5, 1 Main St, Austin, TX'), {
+    street: 'Suite 5, 1 Main St', locality: 'Austin', region: 'TX', postalCode: 'N/A', country: 'US'
+  });
+});
+
+test('parseAddress reads Australian and UK addresses', () => {
+  assert.deepStrictEqual(parseAddress('Campbell Parade, Bondi Beach NSW 2026, Australia'), {
+    street: 'Campbell Parade', locality: 'Bondi Beach', region: 'NSW', postalCode: '2026', country: 'AU'
+  });
+  assert.deepStrictEqual(parseAddress('10 Downing St, London SW1A 2AA, UK'), {
+    street: '10 Downing St', locality: 'London', region: 'N/A', postalCode: 'SW1A 2AA', country: 'GB'
+  });
+});
+
+test('parseAddress reads EU addresses with the postcode before the town', () => {
+  assert.deepStrictEqual(parseAddress('Friedrichstraße 43, 10117 Berlin, Germany'), {
+    street: 'Friedrichstraße 43', locality: 'Berlin', region: 'N/A', postalCode: '10117', country: 'DE'
+  });
+  assert.deepStrictEqual(parseAddress('Damrak 1, 1012 LG Amsterdam, Netherlands'), {
+    street: 'Damrak 1', locality: 'Amsterdam', region: 'N/A', postalCode: '1012 LG', country: 'NL'
+  });
+  assert.deepStrictEqual(parseAddress('Via dei Fori Imperiali 1, 00186 Roma RM, Italy'), {
+    street: 'Via dei Fori Imperiali 1', locality: 'Roma', region: 'RM', postalCode: '00186', country: 'IT'
+  });
+});
+
+test('parseAddress uses the search location when the address has no country', () => {
+  assert.deepStrictEqual(parseAddress('Campbell Parade, Bondi Beach NSW 2026'), {
+    street: 'Campbell Parade', locality: 'Bondi Beach', region: 'NSW', postalCode: '2026', country: 'AU'
+  });
+  assert.deepStrictEqual(parseAddress('12 Rue Cler, 75007 Paris', { location: 'Paris, France' }), {
+    street: '12 Rue Cler', locality: 'Paris', region: 'N/A', postalCode: '75007', country: 'FR'
+  });
+});
+
+test('parseAddress keeps a lone street and missing addresses as they are', () => {
+  assert.deepStrictEqual(parseAddress('205 E Houston St', { location: 'New York, NY' }), {
+    street: '205 E Houston St', locality: 'N/A', region: 'N/A', postalCode: 'N/A', country: 'US'
+  });
+  assert.deepStrictEqual(parseAddress('N/A'), {
+    street: 'N/A', locality: 'N/A', region: 'N/A', postalCode: 'N/A', country: 'N/A'
+  });
+});
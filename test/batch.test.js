@@ -0,0 +1,64 @@
+// test/batch.test.js - Tests for turning scrape requests into search pairs
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePairsCsv, buildSearchPairs, pairSearchText, formatSearches } = require('../lib/batch');
+
+test('buildSearchPairs runs every query in every location', () => {
+  const pairs = buildSearchPairs({ queries: ['Plumbers', 'Electricians'], locations: ['Bondi', 'Manly'] });
+  assert.deepStrictEqual(pairs, [
+    { query: 'Plumbers', location: 'Bondi' },
+    { query: 'Plumbers', location: 'Manly' },
+    { query: 'Electricians', location: 'Bondi' },
+    { query: 'Electricians', location: 'Manly' }
+  ]);
+});
+
+test('buildSearchPairs still takes a single query and location', () => {
+  assert.deepStrictEqual(buildSearchPairs({ query: 'Cafes', location: 'Berlin' }), [{ query: 'Cafes', location: 'Berlin' }]);
+});
+
+test('buildSearchPairs drops repeated searches', () => {
+  const pairs = buildSearchPairs({ pairs: [
+    { query: 'Cafes', location: 'Berlin' },
+    { query: 'cafes', location: 'BERLIN' },
+    { query: 'Bakeries', location: 'Berlin' }
+  ] });
+  assert.strictEqual(pairs.length, 2);
+});
+
+test('buildSearchPairs allows leaving out the location for an area search', () => {
+  assert.deepStrictEqual(buildSearchPairs({ queries: ['Cafes'] }, { hasArea: true }), [{ query: 'Cafes', location: null }]);
+  assert.throws(() => buildSearchPairs({ queries: ['Cafes'] }), /location or area/);
+});
+
+test('buildSearchPairs rejects incomplete pairs', () => {
+  assert.throws(() => buildSearchPairs({ pairs: [{ query: 'Cafes' }] }), /Pair 1 needs/);
+  assert.throws(() => buildSearchPairs({ pairs: [] }), /No searches/);
+  assert.throws(() => buildSearchPairs({ pairs: [{ query: 1, location: 2 }] }), /Pair 1 needs/);
+  assert.throws(() => buildSearchPairs({ pairs: [{ query: 'Cafes', location: '  ' }] }), /Pair 1 needs/);
+  assert.throws(() => buildSearchPairs({ query: 1, location: 'Bondi' }), /Query must be a string/);
+  assert.throws(() => buildSearchPairs({ queries: ['Cafes'], locations: [{}] }), /Locations must be/);
+});
+
+test('parsePairsCsv reads rows with or without a header', () => {
+  assert.deepStrictEqual(parsePairsCsv('Plumbers,Bondi\r\nElectricians,Manly\r\n'), [
+    { query: 'Plumbers', location: 'Bondi' },
+    { query: 'Electricians', location: 'Manly' }
+  ]);
+  assert.deepStrictEqual(parsePairsCsv('\uFEFFlocation,query\n"Sydney, NSW","Tilers ""licensed"""\n\n'), [
+    { query: 'Tilers "licensed"', location: 'Sydney, NSW' }
+  ]);
+});
+
+test('parsePairsCsv names the row that is missing a value', () => {
+  assert.throws(() => parsePairsCsv('query,location\nPlumbers,Bondi\nElectricians,'), /CSV row 2/);
+});
+
+test('pairSearchText and formatSearches describe searches', () => {
+  assert.strictEqual(pairSearchText({ query: 'Cafes', location: null }), 'Cafes');
+  assert.strictEqual(formatSearches([
+    { query: 'Plumbers', location: 'Bondi' },
+    { query: 'Electricians', location: 'Bondi' }
+  ]), 'Plumbers in Bondi; Electricians in Bondi');
+  assert.strictEqual(formatSearches(undefined), '');
+});
@@ -0,0 +1,90 @@
+// test/browserPool.test.js - Tests for recycling pooled browsers
+//
+// No browser is launched: the recycle rules are checked against a fake
+// browser, and memory is read from processes this test starts itself.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { recycleReason, recycleIfWorn, getProcessTreeMemoryMb } = require('../lib/browserPool');
+
+const hasProc = fs.existsSync('/proc');
+
+// A browser whose process is `pid`, recording whether it was closed
+function fakeBrowser(pid = null) {
+  const browser = {
+    closed: false,
+    process: () => (pid === null ? null : { pid }),
+    close: async () => {
+      browser.closed = true;
+    }
+  };
+  return browser;
+}
+
+function fakeEntry(overrides = {}) {
+  return { browser: fakeBrowser(), pagesServed: 0, activeContexts: 0, retiring: false, ...overrides };
+}
+
+test('recycleReason replaces browsers after 200 pages or past 1024 MB', () => {
+  assert.strictEqual(recycleReason(199, 1024), null);
+  assert.strictEqual(recycleReason(200, null), 'after 200 pages');
+  assert.strictEqual(recycleReason(10, 1025), 'using 1025 MB');
+  // Memory that can't be read never recycles a browser
+  assert.strictEqual(recycleReason(10, null), null);
+});
+
+test('recycleIfWorn closes a worn browser once its last context is released', async () => {
+  const busy = fakeEntry({ pagesServed: 200, activeContexts: 1 });
+  await recycleIfWorn(busy);
+  assert.strictEqual(busy.retiring, true);
+  assert.strictEqual(busy.browser.closed, false);
+
+  busy.activeContexts = 0;
+  await recycleIfWorn(busy);
+  assert.strictEqual(busy.browser.closed, true);
+});
+
+test('recycleIfWorn keeps a browser within budget', async () => {
+  const fresh = fakeEntry({ pagesServed: 12 });
+  await recycleIfWorn(fresh);
+  assert.strictEqual(fresh.retiring, false);
+  assert.strictEqual(fresh.browser.closed, false);
+});
+
+test('getProcessTreeMemoryMb adds up the resident memory of child processes', { skip: !hasProc && 'needs /proc' }, async () => {
+  assert.strictEqual(getProcessTreeMemoryMb(null), null);
+  assert.strictEqual(getProcessTreeMemoryMb({ pid: undefined }), null);
+
+  const ownMb = getProcessTreeMemoryMb({ pid: process.pid });
+  const rssMb = process.memoryUsage().rss / 1024 / 1024;
+  assert.ok(Math.abs(ownMb - rssMb) < 32, `read ${ownMb} MB, process reports ${Math.round(rssMb)} MB`);
+
+  // A child node process adds its own memory to the tree
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { stdio: 'ignore' });
+  try {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const childMb = getProcessTreeMemoryMb({ pid: child.pid });
+    assert.ok(childMb > 10, `child uses ${childMb} MB`);
+    assert.ok(getProcessTreeMemoryMb({ pid: process.pid }) >= ownMb + childMb - 16);
+  } finally {
+    child.kill();
+  }
+});
+
+test('a browser whose process tree is past the memory budget is recycled', { skip: !hasProc && 'needs /proc' }, async () => {
+  // The test process stands in for the browser; a pool loaded with a 1 MB
+  // budget finds it over budget
+  process.env.BROWSER_MAX_MEMORY_MB = '1';
+  delete require.cache[require.resolve('../lib/browserPool')];
+  try {
+    const pool = require('../lib/browserPool');
+    const entry = fakeEntry({ browser: fakeBrowser(process.pid) });
+    await pool.recycleIfWorn(entry);
+    assert.strictEqual(entry.retiring, true);
+    assert.strictEqual(entry.browser.closed, true);
+  } finally {
+    delete process.env.BROWSER_MAX_MEMORY_MB;
+    delete require.cache[require.resolve('../lib/browserPool')];
+  }
+});
@@ -0,0 +1,27 @@
+// test/businessStatus.test.js - Tests for operational status and claimed flags
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { operationalStatusFromText, isClosed, applyBusinessStatus } = require('../lib/businessStatus');
+
+test('operationalStatusFromText reads the closed labels', () => {
+  assert.strictEqual(operationalStatusFromText('Permanently closed'), 'CLOSED_PERMANENTLY');
+  assert.strictEqual(operationalStatusFromText('Temporarily closed'), 'CLOSED_TEMPORARILY');
+  assert.strictEqual(operationalStatusFromText(undefined), 'OPERATIONAL');
+  assert.strictEqual(operationalStatusFromText('N/A'), 'OPERATIONAL');
+});
+
+test('isClosed is true for both kinds of closed', () => {
+  assert.strictEqual(isClosed({ operationalStatus: 'CLOSED_PERMANENTLY' }), true);
+  assert.strictEqual(isClosed({ operationalStatus: 'CLOSED_TEMPORARILY' }), true);
+  assert.strictEqual(isClosed({ operationalStatus: 'OPERATIONAL' }), false);
+  assert.strictEqual(isClosed({}), false);
+});
+
+test('applyBusinessStatus turns the claim prompt into claimed', () => {
+  assert.deepStrictEqual(applyBusinessStatus({ name: 'Shop', claimPrompt: 'Own this business?' }), {
+    name: 'Shop', operationalStatus: 'OPERATIONAL', claimed: false
+  });
+  assert.deepStrictEqual(applyBusinessStatus({ name: 'Shop', operationalStatus: 'Permanently closed' }), {
+    name: 'Shop', operationalStatus: 'CLOSED_PERMANENTLY', claimed: true
+  });
+});
@@ -0,0 +1,44 @@
+// test/concurrency.test.js - Tests for the bounded worker pool
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency } = require('../lib/concurrency');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency keeps results in input order', async () => {
+  // Later items finish first
+  const results = await mapWithConcurrency([30, 20, 10, 0], 4, async (delay, index) => {
+    await sleep(delay);
+    return `${index}:${delay}`;
+  });
+  assert.deepStrictEqual(results, ['0:30', '1:20', '2:10', '3:0']);
+});
+
+test('mapWithConcurrency never runs more than `concurrency` workers at once', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency(Array.from({ length: 10 }, (item, index) => index), 3, async (item) => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(5);
+    active--;
+    return item * 2;
+  });
+  assert.strictEqual(peak, 3);
+  assert.deepStrictEqual(results, [0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+});
+
+test('mapWithConcurrency handles empty input and a concurrency below one', async () => {
+  assert.deepStrictEqual(await mapWithConcurrency([], 5, async () => assert.fail('not called')), []);
+  assert.deepStrictEqual(await mapWithConcurrency(['a', 'b'], 0, async item => item.toUpperCase()), ['A', 'B']);
+});
+
+test('mapWithConcurrency rejects when a worker throws', async () => {
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3], 2, async (item) => {
+      if (item === 2) throw new Error('Listing 2 failed');
+      return item;
+    }),
+    /Listing 2 failed/
+  );
+});
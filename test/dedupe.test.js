@@ -0,0 +1,96 @@
+// test/dedupe.test.js - Tests for merging records of the same business
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizePhone,
+  websiteDomain,
+  nameSimilarity,
+  addressSimilarity,
+  resolveDuplicates
+} = require('../lib/dedupe');
+
+test('normalizePhone ignores formatting and the country code', () => {
+  assert.strictEqual(normalizePhone('+1 212-366-1182'), normalizePhone('(212) 366-1182'));
+  assert.strictEqual(normalizePhone('N/A'), null);
+  assert.strictEqual(normalizePhone('123'), null);
+});
+
+test('websiteDomain skips hosts shared by many businesses', () => {
+  assert.strictEqual(websiteDomain('https://www.joespizzanyc.com/menu'), 'joespizzanyc.com');
+  assert.strictEqual(websiteDomain('joespizzanyc.com'), 'joespizzanyc.com');
+  assert.strictEqual(websiteDomain('https://www.facebook.com/joespizza'), null);
+  assert.strictEqual(websiteDomain('https://joes-pizza.business.site/'), null);
+});
+
+test('names and addresses compare loosely', () => {
+  assert.strictEqual(nameSimilarity("Joe's Pizza", "Joe's Pizza - Downtown"), 1);
+  assert.ok(nameSimilarity("Joe's Pizza", 'Prince Street Pizza') < 0.8);
+  assert.strictEqual(addressSimilarity('7 Carmine St, New York, NY 10014', '7 Carmine Street, New York'), 1);
+  assert.strictEqual(addressSimilarity('7 Carmine St, New York', '9 Carmine St, New York'), 0);
+});
+
+test('resolveDuplicates merges by place ID, phone, website and name plus address', () => {
+  const { records, duplicates } = resolveDuplicates([
+    { name: "Joe's Pizza", address: '7 Carmine St, New York, NY 10014', phone: 'N/A', placeId: 'ChIJjoe', url: 'a' },
+    { name: "Joe's Pizza", address: 'N/A', phone: '(212) 366-1182', placeId: 'ChIJjoe', url: 'b' },
+    { name: "Joe's Pizza - Downtown", address: '7 Carmine Street, New York', phone: '+1 212-366-1182', url: 'c' },
+    { name: 'Katz Deli', address: '205 E Houston St', website: 'https://katzsdelicatessen.com', url: 'd' },
+    { name: "Katz's Delicatessen", address: '205 East Houston Street, New York', website: 'http://www.katzsdelicatessen.com/', url: 'e' },
+    { name: 'Carbone', address: '181 Thompson St', url: 'f' },
+    { name: 'Carbone', address: '181 Thompson Street, New York, NY', url: 'g' }
+  ]);
+
+  assert.strictEqual(records.length, 3);
+  assert.deepStrictEqual(duplicates.map(({ name, count }) => ({ name, count })), [
+    { name: "Joe's Pizza - Downtown", count: 3 },
+    { name: 'Katz Deli', count: 2 },
+    { name: 'Carbone', count: 2 }
+  ]);
+  assert.deepStrictEqual(duplicates[0].records.map(({ matchedOn }) => matchedOn), [null, 'placeId', 'phone']);
+  assert.strictEqual(duplicates[1].records[1].matchedOn, 'website');
+  assert.strictEqual(duplicates[2].records[1].matchedOn, 'name+address');
+
+  // The most complete value of each field is kept
+  assert.strictEqual(records[0].phone, '(212) 366-1182');
+  assert.strictEqual(records[0].address, '7 Carmine St, New York, NY 10014');
+  assert.strictEqual(records[2].address, '181 Thompson Street, New York, NY');
+});
+
+test('resolveDuplicates keeps chain branches apart', () => {
+  const { records, duplicates } = resolveDuplicates([
+    { name: 'Starbucks', address: '100 Broadway', phone: '800-782-7282', website: 'https://www.starbucks.com/store/1', latitude: 40.7081, longitude: -74.0109 },
+    { name: 'Starbucks', address: '200 5th Ave', phone: '800-782-7282', website: 'https://www.starbucks.com/store/2', latitude: 40.7419, longitude: -73.9898 }
+  ]);
+  assert.strictEqual(records.length, 2);
+  assert.deepStrictEqual(duplicates, []);
+});
+
+test('resolveDuplicates never merges records with different place IDs or CIDs', () => {
+  const { records, duplicates } = resolveDuplicates([
+    { name: "Joe's Pizza", address: '7 Carmine St, New York, NY 10014', phone: '212-366-1182', placeId: 'ChIJa' },
+    { name: "Joe's Pizza", address: '7 Carmine St, New York, NY 10014', phone: '212-366-1182', placeId: 'ChIJb' },
+    // Matches both by phone, but must not join them
+    { name: "Joe's Pizza", address: 'N/A', phone: '(212) 366-1182' },
+    { name: "Joe's Pizza", address: '1435 Broadway, New York, NY 10018', phone: '646-559-4878', cid: '1' },
+    { name: "Joe's Pizza", address: '1435 Broadway, New York, NY 10018', phone: '646-559-4878', cid: '2' }
+  ]);
+  assert.strictEqual(records.length, 4);
+  assert.deepStrictEqual(duplicates.map(({ count }) => count), [2]);
+});
+
+test('resolveDuplicates combines the searches that found a business', () => {
+  const { records } = resolveDuplicates([
+    { name: 'Bondi Plumbing', placeId: 'ChIJx', searches: [{ query: 'Plumbers', location: 'Bondi' }] },
+    { name: 'Bondi Plumbing', placeId: 'ChIJx', searches: [{ query: 'Gas fitters', location: 'Bondi' }] }
+  ]);
+  assert.deepStrictEqual(records[0].searches, [
+    { query: 'Plumbers', location: 'Bondi' },
+    { query: 'Gas fitters', location: 'Bondi' }
+  ]);
+});
+
+test('resolveDuplicates rejects records that are not objects', () => {
+  assert.throws(() => resolveDuplicates([null]), /Each record must be an object/);
+  assert.throws(() => resolveDuplicates([{ name: 'Somewhere' }, 'Somewhere else']), /Each record must be an object/);
+  assert.throws(() => resolveDuplicates([[]]), /Each record must be an object/);
+});
@@ -0,0 +1,128 @@
+// test/extraction.test.js - Offline regression tests for the extractors
+//
+// Each saved Google Maps page in test/fixtures is loaded into a local headless
+// page with all network access blocked, run through the real extraction
+// functions, and compared with the matching .expected.json file.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { collectListingUrls, extractBusinessDetails, extractFeedCards, extractReviewCards } = require('../lib/extractors');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+// Large enough to take every card in a search fixture
+const SEARCH_LIMIT = 50;
+
+let browser = null;
+let launchError = null;
+
+before(async () => {
+  try {
+    browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox'] });
+  } catch (error) {
+    launchError = error;
+  }
+});
+
+after(async () => {
+  if (browser) {
+    await browser.close();
+  }
+});
+
+// HTML fixtures of one kind ("search", "place" or "reviews")
+function listFixtures(kind) {
+  return fs.readdirSync(path.join(FIXTURES_DIR, kind)).filter(file => file.endsWith('.html'));
+}
+
+function readExpected(kind, file, suffix = '.expected.json') {
+  const expectedPath = path.join(FIXTURES_DIR, kind, file.replace(/\.html$/, suffix));
+  return JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+}
+
+// Load a fixture into a fresh page. Every request is aborted so the test
+// never touches the network.
+async function openFixture(kind, file) {
+  const page = await browser.newPage();
+  await page.setRequestInterception(true);
+  page.on('request', req => req.abort());
+  await page.setContent(fs.readFileSync(path.join(FIXTURES_DIR, kind, file), 'utf8'), { waitUntil: 'domcontentloaded' });
+  return page;
+}
+
+// Only the fields named in the expected file are compared, so an expected
+// file can leave out fields its fixture is not meant to cover
+function pickExpectedFields(actual, expected) {
+  return Object.fromEntries(Object.keys(expected).map(key => [key, actual[key]]));
+}
+
+// A browser that fails to launch fails the suite, so a missing browser can't
+// hide selector breakage. SKIP_BROWSER_TESTS=1 skips these tests instead.
+function skipWithoutBrowser(t) {
+  if (browser) return false;
+  if (process.env.SKIP_BROWSER_TESTS !== '1') {
+    throw new Error(`Headless browser failed to launch (${launchError.message.split('\n')[0]}); set PUPPETEER_EXECUTABLE_PATH, or SKIP_BROWSER_TESTS=1 to skip`);
+  }
+  t.skip(`headless browser unavailable (${launchError.message.split('\n')[0]}); SKIP_BROWSER_TESTS is set`);
+  return true;
+}
+
+for (const file of listFixtures('search')) {
+  test(`search feed: ${file}`, async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const page = await openFixture('search', file);
+    try {
+      const listings = await collectListingUrls(page, SEARCH_LIMIT);
+      assert.deepStrictEqual(listings, readExpected('search', file));
+    } finally {
+      await page.close();
+    }
+  });
+}
+
+for (const file of listFixtures('search')) {
+  test(`feed cards: ${file}`, async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const page = await openFixture('search', file);
+    try {
+      const expected = readExpected('search', file, '.cards.expected.json');
+      const cards = Array.from((await extractFeedCards(page)).values());
+      assert.deepStrictEqual(cards.map((card, i) => pickExpectedFields(card, expected[i] || {})), expected);
+    } finally {
+      await page.close();
+    }
+  });
+}
+
+for (const file of listFixtures('place')) {
+  test(`place details: ${file}`, async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const page = await openFixture('place', file);
+    try {
+      const expected = readExpected('place', file);
+      const details = await extractBusinessDetails(page);
+      assert.deepStrictEqual(pickExpectedFields(details, expected), expected);
+    } finally {
+      await page.close();
+    }
+  });
+}
+
+for (const file of listFixtures('reviews')) {
+  test(`review cards: ${file}`, async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const page = await openFixture('reviews', file);
+    try {
+      const expected = readExpected('reviews', file);
+      const reviews = await extractReviewCards(page);
+      assert.deepStrictEqual(reviews.map((review, i) => pickExpectedFields(review, expected[i] || {})), expected);
+    } finally {
+      await page.close();
+    }
+  });
+}
@@ -0,0 +1,68 @@
+// test/hours.test.js - Tests for parsing opening hours and the openAt filter
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseHours, formatDayHours, parseOpenAt, isOpenAt } = require('../lib/hours');
+
+const WEEK = 'Monday: 9 AM–5 PM; Tuesday: 11 AM–2 PM, 5–11 PM; Wednesday: 6 PM–2 AM; ' +
+  'Thursday: Open 24 hours; Friday: 11–2 PM; Saturday: 09:00–21:30; Sunday: Closed';
+
+test('parseHours reads 12h and 24h times, split shifts and closed days', () => {
+  assert.deepStrictEqual(parseHours(WEEK), {
+    monday: [{ open: '09:00', close: '17:00' }],
+    tuesday: [{ open: '11:00', close: '14:00' }, { open: '17:00', close: '23:00' }],
+    wednesday: [{ open: '18:00', close: '02:00', closesNextDay: true }],
+    thursday: [{ open: '00:00', close: '24:00' }],
+    friday: [{ open: '11:00', close: '14:00' }],
+    saturday: [{ open: '09:00', close: '21:30' }],
+    sunday: []
+  });
+});
+
+test('parseHours treats closing at midnight as the end of the day', () => {
+  const week = parseHours('Friday: 5 PM–12 AM; Saturday: 12 PM–12 AM');
+  assert.deepStrictEqual(week.friday, [{ open: '17:00', close: '24:00' }]);
+  assert.deepStrictEqual(week.saturday, [{ open: '12:00', close: '24:00' }]);
+  assert.strictEqual(week.monday, null);
+});
+
+test('parseHours copes with raw panel text and notes', () => {
+  const week = parseHours('Monday9 AM–5 PMTuesdayClosedWednesday10 AM–6 PM (Hours might differ)');
+  assert.deepStrictEqual(week.monday, [{ open: '09:00', close: '17:00' }]);
+  assert.deepStrictEqual(week.tuesday, []);
+  assert.deepStrictEqual(week.wednesday, [{ open: '10:00', close: '18:00' }]);
+});
+
+test('parseHours returns null when there are no day hours to read', () => {
+  assert.strictEqual(parseHours('Open ⋅ Closes 5 PM'), null);
+  assert.strictEqual(parseHours('N/A'), null);
+  assert.strictEqual(parseHours(undefined), null);
+});
+
+test('formatDayHours writes one export cell per day', () => {
+  const week = parseHours(WEEK);
+  assert.strictEqual(formatDayHours(week.tuesday), '11:00–14:00, 17:00–23:00');
+  assert.strictEqual(formatDayHours(week.wednesday), '18:00–02:00 (+1)');
+  assert.strictEqual(formatDayHours(week.thursday), 'Open 24 hours');
+  assert.strictEqual(formatDayHours(week.sunday), 'Closed');
+  assert.strictEqual(formatDayHours(null), '');
+});
+
+test('parseOpenAt accepts a weekday and a 12h or 24h time', () => {
+  assert.deepStrictEqual(parseOpenAt('tuesday 18:30'), { day: 'tuesday', minutes: 18 * 60 + 30 });
+  assert.deepStrictEqual(parseOpenAt('Tue 6:30 PM'), { day: 'tuesday', minutes: 18 * 60 + 30 });
+  assert.deepStrictEqual(parseOpenAt('sat@9am'), { day: 'saturday', minutes: 9 * 60 });
+  assert.throws(() => parseOpenAt('someday 10:00'), /openAt must be/);
+  assert.throws(() => parseOpenAt('monday 25:00'), /openAt must be/);
+});
+
+test('isOpenAt checks intervals, including hours that run past midnight', () => {
+  const week = parseHours(WEEK);
+  assert.strictEqual(isOpenAt(week, parseOpenAt('monday 10:00')), true);
+  assert.strictEqual(isOpenAt(week, parseOpenAt('monday 17:00')), false);
+  assert.strictEqual(isOpenAt(week, parseOpenAt('tuesday 15:00')), false);
+  assert.strictEqual(isOpenAt(week, parseOpenAt('tuesday 18:00')), true);
+  assert.strictEqual(isOpenAt(week, parseOpenAt('wednesday 23:00')), true);
+  assert.strictEqual(isOpenAt(week, parseOpenAt('thursday 01:30')), true);
+  assert.strictEqual(isOpenAt(week, parseOpenAt('sunday 12:00')), false);
+  assert.strictEqual(isOpenAt(parseHours('Monday: 9 AM–5 PM'), parseOpenAt('friday 12:00')), null);
+});
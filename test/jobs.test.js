@@ -0,0 +1,98 @@
+// test/jobs.test.js - Tests for the in-memory job queue
+//
+// The limits are read when lib/jobs.js is loaded, so they are set first. Each
+// test file runs in a process of its own.
+process.env.MAX_CONCURRENT_JOBS = '2';
+process.env.MAX_STORED_JOBS = '3';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { enqueueJob, getJob, listJobs, serializeJob, jobEvents } = require('../lib/jobs');
+
+// A task that only finishes when told to
+function deferredTask() {
+  const control = {};
+  control.task = () => new Promise((resolve, reject) => {
+    control.resolve = resolve;
+    control.reject = reject;
+  });
+  return control;
+}
+
+// Let settled jobs update their status and start the next ones
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('jobs run at most MAX_CONCURRENT_JOBS at a time, in order', async () => {
+  const tasks = [deferredTask(), deferredTask(), deferredTask()];
+  const queued = tasks.map((control, index) => enqueueJob({ index }, control.task));
+  assert.deepStrictEqual(queued.map(({ status }) => status), ['running', 'running', 'queued']);
+
+  tasks[1].resolve([{ name: 'Joe\'s Pizza' }]);
+  await flush();
+  assert.strictEqual(queued[1].status, 'completed');
+  assert.deepStrictEqual(queued[1].results, [{ name: 'Joe\'s Pizza' }]);
+  assert.strictEqual(queued[2].status, 'running');
+
+  tasks[0].reject(new Error('Browser crashed'));
+  tasks[2].resolve([]);
+  await flush();
+  assert.strictEqual(queued[0].status, 'failed');
+  assert.strictEqual(queued[0].error, 'Browser crashed');
+  assert.ok(queued[0].finishedAt);
+  assert.strictEqual(queued[2].status, 'completed');
+});
+
+test('jobEvents emits status when a job starts and when it finishes', async () => {
+  const seen = [];
+  const listener = job => seen.push(job.status);
+  jobEvents.on('status', listener);
+  try {
+    const control = deferredTask();
+    enqueueJob({}, control.task);
+    assert.deepStrictEqual(seen, ['running']);
+    control.resolve([]);
+    await flush();
+    assert.deepStrictEqual(seen, ['running', 'completed']);
+  } finally {
+    jobEvents.off('status', listener);
+  }
+});
+
+test('the oldest finished jobs are dropped beyond MAX_STORED_JOBS', async () => {
+  const running = deferredTask();
+  const runningJob = enqueueJob({ keep: true }, running.task);
+  const finished = [];
+  for (let i = 0; i < 4; i++) {
+    finished.push(enqueueJob({ i }, async () => []));
+    await flush();
+  }
+
+  // Unfinished jobs are kept however old they are
+  assert.strictEqual(getJob(runningJob.id), runningJob);
+  assert.strictEqual(getJob(finished[0].id), null);
+  assert.strictEqual(listJobs().length, 3);
+  assert.deepStrictEqual(listJobs(2).map(({ id }) => id), [finished[3].id, finished[2].id]);
+  running.resolve([]);
+  await flush();
+});
+
+test('serializeJob leaves results out of listings', async () => {
+  const job = enqueueJob({ query: 'pizza' }, async () => [{ name: 'A' }, { name: 'B' }]);
+  await flush();
+
+  const full = serializeJob(job);
+  assert.strictEqual(full.status, 'completed');
+  assert.strictEqual(full.resultCount, 2);
+  assert.deepStrictEqual(full.results, [{ name: 'A' }, { name: 'B' }]);
+  assert.deepStrictEqual(full.params, { query: 'pizza' });
+
+  const summary = serializeJob(job, { includeResults: false });
+  assert.strictEqual(summary.results, undefined);
+  assert.strictEqual(summary.resultCount, 2);
+
+  // The progress counts are a copy
+  summary.progress.processed = 99;
+  assert.strictEqual(job.progress.processed, 0);
+});
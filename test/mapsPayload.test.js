@@ -0,0 +1,101 @@
+// test/mapsPayload.test.js - Tests for decoding Maps network payloads
+//
+// Runs against saved payload bodies in test/fixtures/payloads; no browser is
+// needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  parsePayload,
+  decodePlacesFromPayload,
+  dataIdFromUrl,
+  mergePayloadWithDom
+} = require('../lib/mapsPayload');
+
+const PAYLOADS_DIR = path.join(__dirname, 'fixtures', 'payloads');
+
+function readPayload(file) {
+  return fs.readFileSync(path.join(PAYLOADS_DIR, file), 'utf8');
+}
+
+test('parsePayload unwraps the envelope and XSSI prefix', () => {
+  const parsed = parsePayload(readPayload('search-pizza.json'));
+  assert.ok(Array.isArray(parsed));
+  assert.strictEqual(parsed[0][0], 'pizza');
+
+  assert.deepStrictEqual(parsePayload(")]}'\n[1,[2]]"), [1, [2]]);
+});
+
+test('decodePlacesFromPayload finds every place keyed by data ID', () => {
+  const places = decodePlacesFromPayload(readPayload('search-pizza.json'));
+
+  assert.deepStrictEqual(Array.from(places.keys()), [
+    '0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2',
+    '0x89c25991f4a2f7d5:0x1e0ef3b5c2b1d4a6'
+  ]);
+  assert.deepStrictEqual(places.get('0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2'), {
+    dataId: '0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2',
+    name: "Joe's Pizza",
+    address: '7 Carmine St, New York, NY 10014',
+    phone: '(212) 366-1182',
+    website: 'http://www.joespizzanyc.com/',
+    rating: '4.5',
+    reviews: '17,342',
+    hours: 'Monday: 10 AM–4 AM; Tuesday: 10 AM–4 AM; Sunday: 10 AM–1 AM',
+    category: 'Pizza restaurant',
+    priceRange: '$',
+    latitude: 40.7305706,
+    longitude: -74.0021553,
+    placeId: 'ChIJz7azWpJZwokR8tX2u9b1D44',
+    cid: '10236670780661749234'
+  });
+  // Fields missing from the payload are left out
+  assert.deepStrictEqual(Object.keys(places.get('0x89c25991f4a2f7d5:0x1e0ef3b5c2b1d4a6')).sort(),
+    ['cid', 'dataId', 'name', 'rating', 'reviews']);
+});
+
+test('decodePlacesFromPayload returns nothing for a malformed body', () => {
+  assert.strictEqual(decodePlacesFromPayload(")]}'\n[1, 2").size, 0);
+});
+
+test('dataIdFromUrl reads the data ID from a place URL', () => {
+  const url = 'https://www.google.com/maps/place/Joe%27s+Pizza/data=!4m7!3m6!1s0x89C259925AB3B6CF:0x8E0FF5D6BBF6D5F2!8m2!3d40.7305!4d-74.0022';
+  assert.strictEqual(dataIdFromUrl(url), '0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2');
+  assert.strictEqual(dataIdFromUrl('https://www.google.com/maps/search/pizza'), null);
+});
+
+test('mergePayloadWithDom prefers payload values and reports disagreements', () => {
+  const payloadPlace = decodePlacesFromPayload(readPayload('search-pizza.json'))
+    .get('0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2');
+  const dom = {
+    name: "Joe's Pizza",
+    address: '7 Carmine St, New York, NY 10014',
+    phone: '212-366-1182',
+    website: 'joespizzanyc.com',
+    rating: '4.4',
+    reviews: '17,342',
+    email: 'N/A',
+    category: 'N/A',
+    fieldSources: { name: 'selector:0', rating: 'selector:0', email: 'none', category: 'fallback:1' }
+  };
+
+  const merged = mergePayloadWithDom(dom, payloadPlace);
+
+  assert.strictEqual(merged.rating, '4.5');
+  assert.strictEqual(merged.category, 'Pizza restaurant');
+  assert.strictEqual(merged.email, 'N/A');
+  assert.strictEqual(merged.dataId, undefined);
+  assert.ok(merged.payloadFields.includes('hours'));
+  // Selectors are not credited for values the payload supplied
+  assert.strictEqual(merged.fieldSources.rating, 'payload');
+  assert.strictEqual(merged.fieldSources.category, 'payload');
+  assert.strictEqual(merged.fieldSources.email, 'none');
+  // Formatting differences in phone and website are not disagreements
+  assert.deepStrictEqual(merged.crossCheck, [{ field: 'rating', payload: '4.5', dom: '4.4' }]);
+});
+
+test('mergePayloadWithDom keeps the DOM record when there is no payload', () => {
+  const dom = { name: 'Somewhere', rating: '4.0' };
+  assert.deepStrictEqual(mergePayloadWithDom(dom, null), { ...dom, payloadFields: [], crossCheck: [] });
+});
@@ -0,0 +1,74 @@
+// test/phone.test.js - Tests for E.164 phone normalization and country inference
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { inferCountry, mapsRegion } = require('../lib/countries');
+const { normalizePhoneNumber, normalizeRecordPhone } = require('../lib/phone');
+
+test('inferCountry reads country names, postcodes and region codes', () => {
+  assert.strictEqual(inferCountry('Friedrichstraße 43, 10117 Berlin, Germany'), 'DE');
+  assert.strictEqual(inferCountry('165 Allen St, New York, NY 10002'), 'US');
+  assert.strictEqual(inferCountry('10 Downing St, London SW1A 2AA'), 'GB');
+  assert.strictEqual(inferCountry('290 Bremner Blvd, Toronto, ON M5V 3L9'), 'CA');
+  assert.strictEqual(inferCountry('Campbell Parade, Bondi Beach NSW 2026'), 'AU');
+  assert.strictEqual(inferCountry('Austin, TX'), 'US');
+  assert.strictEqual(inferCountry('Sydney NSW'), 'AU');
+  assert.strictEqual(inferCountry('Portland, Oregon'), 'US');
+});
+
+test('inferCountry reads well-known cities after names and region codes', () => {
+  assert.strictEqual(inferCountry('Berlin'), 'DE');
+  assert.strictEqual(inferCountry('Friedrichstraße 43, 10117 Berlin'), 'DE');
+  assert.strictEqual(inferCountry('London'), 'GB');
+  assert.strictEqual(inferCountry('London, ON'), 'CA');
+  assert.strictEqual(inferCountry('Paris, Texas'), 'US');
+});
+
+test('mapsRegion reads the gl parameter or the region of hl', () => {
+  assert.strictEqual(mapsRegion('https://www.google.com/maps/place/X/data=!4m2?hl=de&gl=de'), 'DE');
+  assert.strictEqual(mapsRegion('https://www.google.com/maps/place/X?hl=en-GB'), 'GB');
+  assert.strictEqual(mapsRegion('https://www.google.com/maps/place/X?authuser=0&hl=de&rclk=1'), null);
+  assert.strictEqual(mapsRegion(undefined), null);
+});
+
+test('inferCountry falls back to later texts and returns null when unsure', () => {
+  assert.strictEqual(inferCountry('N/A', 'Paris, France'), 'FR');
+  assert.strictEqual(inferCountry('Main Street 5', 'Bondi'), null);
+  assert.strictEqual(inferCountry(undefined), null);
+});
+
+test('normalizePhoneNumber writes national numbers in E.164', () => {
+  assert.deepStrictEqual(normalizePhoneNumber('(212) 254-2246', { country: 'US' }), {
+    phone: '+12122542246', phoneDisplay: '(212) 254-2246', phoneStatus: 'valid'
+  });
+  assert.strictEqual(normalizePhoneNumber('020 7946 0958', { country: 'GB' }).phone, '+442079460958');
+  assert.strictEqual(normalizePhoneNumber('030 2345678', { country: 'DE' }).phone, '+49302345678');
+  assert.strictEqual(normalizePhoneNumber('tel:+61293651234').phone, '+61293651234');
+});
+
+test('normalizePhoneNumber flags numbers it cannot read', () => {
+  assert.deepStrictEqual(normalizePhoneNumber('Call for reservations', { country: 'US' }), {
+    phone: 'N/A', phoneDisplay: 'Call for reservations', phoneStatus: 'invalid'
+  });
+  // A national number without a known country
+  assert.strictEqual(normalizePhoneNumber('(212) 254-2246').phoneStatus, 'invalid');
+  assert.strictEqual(normalizePhoneNumber('N/A').phoneStatus, 'missing');
+});
+
+test('normalizeRecordPhone takes the country from the address, then the search location', () => {
+  const fromAddress = normalizeRecordPhone({ phone: '(212) 254-2246', address: '205 E Houston St, New York, NY 10002' });
+  assert.strictEqual(fromAddress.phone, '+12122542246');
+  assert.strictEqual(fromAddress.address, '205 E Houston St, New York, NY 10002');
+
+  const fromLocation = normalizeRecordPhone({ phone: '02 9365 1234', address: 'N/A' }, { location: 'Sydney NSW' });
+  assert.strictEqual(fromLocation.phone, '+61293651234');
+
+  const fromCity = normalizeRecordPhone({ phone: '030 1234567', address: 'Torstraße 1' }, { location: 'Berlin' });
+  assert.strictEqual(fromCity.phone, '+49301234567');
+  assert.strictEqual(fromCity.phoneStatus, 'valid');
+});
+
+test('normalizeRecordPhone falls back to the Maps region', () => {
+  const record = normalizeRecordPhone({ phone: '030 1234567', address: 'Torstraße 1' }, { location: 'Mitte', region: 'DE' });
+  assert.strictEqual(record.phone, '+49301234567');
+  assert.strictEqual(normalizeRecordPhone({ phone: '030 1234567', address: 'Torstraße 1' }).phoneStatus, 'invalid');
+});
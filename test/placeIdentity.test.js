@@ -0,0 +1,55 @@
+// test/placeIdentity.test.js - Tests for coordinates and identifiers read
+// from place URLs
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { cidFromDataId, parsePlaceUrl, placeKey } = require('../lib/placeIdentity');
+
+const JOES_URL = "https://www.google.com/maps/place/Joe's+Pizza/data=!4m7!3m6!1s0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2!8m2!3d40.7305706!4d-74.0021553!16s%2Fg%2F1tfz9yf9!19sChIJz7azWpJZwokR8tX2u9b1D44?authuser=0&hl=en&rclk=1";
+
+test('parsePlaceUrl reads coordinates, place ID and CID', () => {
+  assert.deepStrictEqual(parsePlaceUrl(JOES_URL), {
+    latitude: 40.7305706,
+    longitude: -74.0021553,
+    placeId: 'ChIJz7azWpJZwokR8tX2u9b1D44',
+    cid: '10236670780661749234'
+  });
+});
+
+test('parsePlaceUrl reads ?cid= and ignores the map center', () => {
+  assert.deepStrictEqual(parsePlaceUrl('https://www.google.com/maps/place/Somewhere/@52.5200066,13.404954,17z?cid=1234567890'), {
+    latitude: null,
+    longitude: null,
+    placeId: null,
+    cid: '1234567890'
+  });
+  assert.deepStrictEqual(parsePlaceUrl('https://www.google.com/maps/search/pizza'), {
+    latitude: null,
+    longitude: null,
+    placeId: null,
+    cid: null
+  });
+});
+
+test('cidFromDataId converts the second half of a data ID', () => {
+  assert.strictEqual(cidFromDataId('0x89c259925ab3b6cf:0x8e0ff5d6bbf6d5f2'), '10236670780661749234');
+  assert.strictEqual(cidFromDataId('not a data id'), null);
+});
+
+test('placeKey prefers the CID, then the place ID, then the URL', () => {
+  assert.strictEqual(placeKey({ placeId: 'ChIJabc', cid: '1' }), 'cid:1');
+  assert.strictEqual(placeKey({ placeId: 'ChIJabc', cid: 'N/A' }), 'place:ChIJabc');
+  assert.strictEqual(placeKey({ url: JOES_URL }), 'cid:10236670780661749234');
+  assert.strictEqual(placeKey({ url: 'https://www.google.com/maps/place/X/@1,2,3z?hl=en' }), 'url:https://www.google.com/maps/place/X/@1,2,3z');
+  assert.strictEqual(placeKey({ name: 'No URL' }), null);
+});
+
+test('placeKey matches the same place behind different URLs', () => {
+  const withOtherParams = JOES_URL.replace('?authuser=0&hl=en&rclk=1', '?hl=de');
+  assert.strictEqual(placeKey({ url: withOtherParams }), placeKey({ url: JOES_URL }));
+});
+
+test('placeKey is the same whether or not the Maps payload supplied a place ID', () => {
+  const fromUrl = { url: JOES_URL.replace('!19sChIJz7azWpJZwokR8tX2u9b1D44', ''), placeId: null, cid: '10236670780661749234' };
+  const fromPayload = { ...fromUrl, placeId: 'ChIJz7azWpJZwokR8tX2u9b1D44' };
+  assert.strictEqual(placeKey(fromPayload), placeKey(fromUrl));
+});
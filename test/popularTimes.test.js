@@ -0,0 +1,47 @@
+// test/popularTimes.test.js - Tests for reading the popular times histogram
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePopularTimes, popularTimesRows } = require('../lib/popularTimes');
+
+const LABELS = [
+  { label: 'Histogram showing popular times on Sundays', bars: ['42% busy at 11 AM.', '55% busy at 12 PM.'] },
+  { label: 'Histogram showing popular times on Mondays', bars: [] },
+  { label: 'Histogram showing popular times on Tuesdays', bars: ['25% busy at 11 AM.', 'Currently 45% busy, usually 71% busy.'] },
+  { label: 'Histogram showing popular times on Fridays', bars: ['88% busy at 11 PM.', '76% busy at 12 AM.'] }
+];
+
+test('parsePopularTimes reads hourly busyness per day', () => {
+  const { days } = parsePopularTimes(LABELS);
+  assert.deepStrictEqual(days.sunday, [{ hour: 11, busyness: 42 }, { hour: 12, busyness: 55 }]);
+  assert.deepStrictEqual(days.friday, [{ hour: 23, busyness: 88 }, { hour: 0, busyness: 76 }]);
+  assert.strictEqual(days.monday, null);
+  assert.strictEqual(days.saturday, null);
+});
+
+test('parsePopularTimes records live busyness at the hour after the previous bar', () => {
+  const { days, live } = parsePopularTimes(LABELS);
+  assert.deepStrictEqual(live, { day: 'tuesday', hour: 12, busyness: 45, usual: 71 });
+  assert.deepStrictEqual(days.tuesday[1], { hour: 12, busyness: 71 });
+});
+
+test('parsePopularTimes names unlabelled days by position and reads 24h labels', () => {
+  const { days } = parsePopularTimes([
+    { label: '', bars: ['10 % busy at 18.'] },
+    { label: '', bars: ['20 % busy at 19.'] }
+  ], { firstDay: 'monday' });
+  assert.deepStrictEqual(days.monday, [{ hour: 18, busyness: 10 }]);
+  assert.deepStrictEqual(days.tuesday, [{ hour: 19, busyness: 20 }]);
+});
+
+test('parsePopularTimes returns null without a histogram', () => {
+  assert.strictEqual(parsePopularTimes([]), null);
+  assert.strictEqual(parsePopularTimes([{ label: 'Sundays', bars: [] }]), null);
+});
+
+test('popularTimesRows gives one row per place per day', () => {
+  const record = { name: "Joe's Pizza", placeId: 'ChIJ1', popularTimes: parsePopularTimes(LABELS) };
+  const rows = popularTimesRows(record);
+  assert.deepStrictEqual(rows.map(row => row.day), ['tuesday', 'friday', 'sunday']);
+  assert.deepStrictEqual(rows[0], { name: "Joe's Pizza", placeId: 'ChIJ1', day: 'tuesday', h11: 25, h12: 71, liveHour: 12, liveBusyness: 45 });
+  assert.deepStrictEqual(popularTimesRows({ name: 'Quiet Shop' }), []);
+});
@@ -0,0 +1,42 @@
+// test/reviews.test.js - Tests for review options, review cards and the reviews export
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseReviewOptions, normalizeReview, linkReviews, flattenReviews } = require('../lib/reviews');
+
+test('parseReviewOptions defaults to no reviews in relevance order', () => {
+  assert.deepStrictEqual(parseReviewOptions({}), { maxReviews: 0, reviewSort: 'relevant' });
+  assert.deepStrictEqual(parseReviewOptions({ maxReviews: '25', reviewSort: 'newest' }), { maxReviews: 25, reviewSort: 'newest' });
+});
+
+test('parseReviewOptions caps the review count and rejects bad options', () => {
+  assert.strictEqual(parseReviewOptions({ maxReviews: 100000 }).maxReviews, 200);
+  assert.throws(() => parseReviewOptions({ maxReviews: -1 }), /maxReviews/);
+  assert.throws(() => parseReviewOptions({ maxReviews: 2.5 }), /maxReviews/);
+  assert.throws(() => parseReviewOptions({ reviewSort: 'oldest' }), /reviewSort must be one of/);
+});
+
+test('normalizeReview types the raw card fields', () => {
+  assert.deepStrictEqual(normalizeReview({
+    reviewId: 'abc', author: 'Maria Lopez', stars: '4,5', date: '2 weeks ago',
+    text: 'Great slice', localGuide: 'Local Guide', ownerResponse: 'Thanks!'
+  }), {
+    reviewId: 'abc', author: 'Maria Lopez', stars: 4.5, date: '2 weeks ago',
+    text: 'Great slice', localGuide: true, ownerResponse: 'Thanks!'
+  });
+  const bare = normalizeReview({ reviewId: 'def', author: 'N/A', stars: 'N/A', date: 'N/A', text: '', localGuide: '', ownerResponse: '' });
+  assert.strictEqual(bare.stars, null);
+  assert.strictEqual(bare.localGuide, false);
+});
+
+test('flattenReviews links every review to its business', () => {
+  const review = normalizeReview({ reviewId: 'abc', author: 'Tom', stars: '2' });
+  const records = [
+    { name: "Joe's Pizza", placeId: 'ChIJ1', reviewList: [review] },
+    { name: 'No Reviews Deli', placeId: 'ChIJ2' }
+  ];
+  const reviews = flattenReviews(records);
+  assert.strictEqual(reviews.length, 1);
+  assert.strictEqual(reviews[0].businessName, "Joe's Pizza");
+  assert.strictEqual(reviews[0].placeKey, 'place:ChIJ1');
+  assert.deepStrictEqual(linkReviews(records[1], []), []);
+});
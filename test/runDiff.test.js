@@ -0,0 +1,62 @@
+// test/runDiff.test.js - Tests for the change report between two runs
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compareRecords, diffRuns, searchSignature } = require('../lib/runDiff');
+
+const JOES = {
+  name: "Joe's Pizza", placeId: 'ChIJjoes', address: '7 Carmine St, New York, NY 10014',
+  rating: '4.5', reviews: '21,378', phone: '+12123661182', website: 'joespizzanyc.com',
+  hours: 'Monday: 10 AM–2 AM; Tuesday: 10 AM–2 AM', operationalStatus: 'OPERATIONAL'
+};
+const MAMOUNS = {
+  name: "Mamoun's Falafel", placeId: 'ChIJmamoun', address: '119 MacDougal St, New York, NY 10012',
+  rating: '4.6', reviews: '4,102', phone: '+12126747369', website: 'N/A', hours: 'N/A', operationalStatus: 'OPERATIONAL'
+};
+const KIMS = {
+  name: "Kim's Video", cid: '1234567', address: '6 St Marks Pl, New York, NY 10003',
+  rating: '4.7', reviews: '312', phone: 'N/A', website: 'kimsvideo.com', hours: 'N/A', operationalStatus: 'OPERATIONAL'
+};
+
+test('compareRecords reports tracked fields that changed', () => {
+  const changes = compareRecords(JOES, {
+    ...JOES,
+    rating: '4.4',
+    reviews: '21,512',
+    website: 'https://www.joespizzanyc.com/',
+    hours: 'Monday: 10 AM–2 AM; Tuesday: 11 AM–2 AM',
+    operationalStatus: 'CLOSED_TEMPORARILY'
+  });
+  assert.deepStrictEqual(changes.map(({ field }) => field), ['rating', 'reviews', 'hours', 'operationalStatus']);
+  assert.deepStrictEqual(changes[0], { field: 'rating', before: 4.5, after: 4.4, delta: -0.1 });
+  assert.deepStrictEqual(changes[1], { field: 'reviews', before: 21378, after: 21512, delta: 134 });
+  assert.strictEqual(changes[3].after, 'CLOSED_TEMPORARILY');
+});
+
+test('compareRecords reports a phone that is gone but not a rating that was not read', () => {
+  const changes = compareRecords(JOES, { ...JOES, rating: 'N/A', phone: 'N/A' });
+  assert.deepStrictEqual(changes, [{ field: 'phone', before: '+12123661182', after: 'N/A', delta: null }]);
+});
+
+test('diffRuns lists new, disappeared and changed businesses', () => {
+  const report = diffRuns(
+    [JOES, MAMOUNS, KIMS],
+    [{ ...JOES, reviews: '21,400' }, MAMOUNS, { name: 'Prince Street Pizza', placeId: 'ChIJprince', rating: '4.5' }]
+  );
+  assert.deepStrictEqual(report.summary, {
+    previousBusinesses: 3, currentBusinesses: 3, added: 1, removed: 1, changed: 1, unchanged: 1
+  });
+  assert.strictEqual(report.added[0].placeKey, 'place:ChIJprince');
+  assert.strictEqual(report.removed[0].name, "Kim's Video");
+  assert.deepStrictEqual(report.changed, [{
+    placeKey: 'place:ChIJjoes',
+    name: "Joe's Pizza",
+    address: JOES.address,
+    changes: [{ field: 'reviews', before: 21378, after: 21400, delta: 22 }]
+  }]);
+});
+
+test('searchSignature ignores the order and case of searches', () => {
+  const signature = searchSignature({ pairs: [{ query: 'pizza', location: 'New York' }, { query: 'falafel', location: 'New York' }] });
+  assert.strictEqual(signature, searchSignature({ pairs: [{ query: 'Falafel', location: 'new york' }, { query: 'pizza', location: 'New York ' }] }));
+  assert.notStrictEqual(signature, searchSignature({ pairs: [{ query: 'pizza', location: 'New York' }] }));
+});
@@ -0,0 +1,110 @@
+// test/runStore.test.js - Tests for the SQLite run store
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { openRunStore, closeRunStore, saveRun, listRuns, getRun, listRunBusinesses, getRunRecords, findPreviousRun, deleteRun } = require('../lib/runStore');
+
+const RECORDS = [
+  { name: "Joe's Pizza", placeId: 'ChIJjoes', category: 'Pizza restaurant', rating: '4.5', reviews: '21,378', locality: 'New York', country: 'US', phone: '+12123661182', website: 'joespizzanyc.com', operationalStatus: 'OPERATIONAL' },
+  { name: "Mamoun's Falafel", placeId: 'ChIJmamoun', category: 'Falafel restaurant', rating: '4.6', reviews: '4,102', locality: 'New York', country: 'US', phone: 'N/A', website: 'N/A', operationalStatus: 'CLOSED_TEMPORARILY' },
+  { name: 'Corner Hardware', cid: '1234567', category: 'Hardware store', rating: 'N/A', reviews: 'N/A', locality: 'Brooklyn', country: 'US', phone: '+17185550100', website: 'N/A', operationalStatus: 'OPERATIONAL' }
+];
+
+function job(id, overrides = {}) {
+  return {
+    id,
+    status: 'completed',
+    params: { pairs: [{ query: 'pizza', location: 'New York' }], limit: 20, mode: 'details' },
+    searches: [{ query: 'pizza', location: 'New York', listings: 3, duplicates: 0, error: null }],
+    results: RECORDS,
+    error: null,
+    createdAt: '2024-07-01T10:00:00.000Z',
+    startedAt: '2024-07-01T10:00:01.000Z',
+    finishedAt: '2024-07-01T10:02:01.000Z',
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  openRunStore(':memory:');
+});
+
+after(() => {
+  closeRunStore();
+});
+
+test('saveRun stores a running job and then its results', () => {
+  saveRun(job('run-1', { status: 'running', results: [], finishedAt: null }));
+  assert.strictEqual(getRun('run-1').status, 'running');
+  assert.strictEqual(listRunBusinesses('run-1').total, 0);
+
+  saveRun(job('run-1'));
+  const run = getRun('run-1');
+  assert.strictEqual(run.status, 'completed');
+  assert.strictEqual(run.businessCount, 3);
+  assert.strictEqual(run.durationMs, 120000);
+  assert.deepStrictEqual(run.params.pairs, [{ query: 'pizza', location: 'New York' }]);
+  assert.deepStrictEqual(getRunRecords('run-1'), RECORDS);
+});
+
+test('saveRun keeps one business per place', () => {
+  saveRun(job('run-1', { results: [...RECORDS, { ...RECORDS[0], rating: '4.4' }] }));
+  assert.strictEqual(getRun('run-1').businessCount, 3);
+  assert.strictEqual(listRunBusinesses('run-1', { q: 'joe' }).businesses[0].rating, '4.4');
+});
+
+test('listRuns pages through the most recent runs first', () => {
+  saveRun(job('run-1'));
+  saveRun(job('run-2', { createdAt: '2024-07-02T10:00:00.000Z' }));
+  saveRun(job('run-3', { createdAt: '2024-07-03T10:00:00.000Z' }));
+
+  const page = listRuns({ limit: '2', offset: '1' });
+  assert.strictEqual(page.total, 3);
+  assert.deepStrictEqual(page.runs.map(({ id }) => id), ['run-2', 'run-1']);
+});
+
+test('listRunBusinesses sorts and filters a run\'s businesses', () => {
+  saveRun(job('run-1'));
+
+  const byReviews = listRunBusinesses('run-1', { sort: 'reviews', order: 'desc' });
+  assert.deepStrictEqual(byReviews.businesses.map(({ name }) => name), ["Joe's Pizza", "Mamoun's Falafel", 'Corner Hardware']);
+  assert.strictEqual(byReviews.businesses[0].placeKey, 'place:ChIJjoes');
+
+  // Businesses without a rating come last in either order
+  const byRating = listRunBusinesses('run-1', { sort: 'rating', order: 'asc' });
+  assert.deepStrictEqual(byRating.businesses.map(({ name }) => name), ["Joe's Pizza", "Mamoun's Falafel", 'Corner Hardware']);
+
+  assert.strictEqual(listRunBusinesses('run-1', { locality: 'new york' }).total, 2);
+  assert.strictEqual(listRunBusinesses('run-1', { minRating: '4.55' }).businesses[0].name, "Mamoun's Falafel");
+  assert.strictEqual(listRunBusinesses('run-1', { hasWebsite: 'false' }).total, 2);
+  assert.strictEqual(listRunBusinesses('run-1', { operationalStatus: 'closed_temporarily' }).total, 1);
+
+  const page = listRunBusinesses('run-1', { limit: 1, offset: 1 });
+  assert.strictEqual(page.total, 3);
+  assert.deepStrictEqual(page.businesses.map(({ name }) => name), ["Joe's Pizza"]);
+});
+
+test('listRunBusinesses rejects unknown sorts and malformed filters', () => {
+  saveRun(job('run-1'));
+  assert.throws(() => listRunBusinesses('run-1', { sort: 'phone' }), /Sort must be one of/);
+  assert.throws(() => listRunBusinesses('run-1', { order: 'up' }), /Order must be/);
+  assert.throws(() => listRunBusinesses('run-1', { minRating: 'high' }), /minRating must be a number/);
+  assert.throws(() => listRunBusinesses('run-1', { hasWebsite: 'yes' }), /hasWebsite must be/);
+});
+
+test('findPreviousRun finds the latest earlier completed run of the same searches', () => {
+  saveRun(job('run-1'));
+  saveRun(job('run-2', { createdAt: '2024-08-01T10:00:00.000Z', params: { pairs: [{ query: 'falafel', location: 'New York' }] } }));
+  saveRun(job('run-3', { createdAt: '2024-08-15T10:00:00.000Z', status: 'failed' }));
+  saveRun(job('run-4', { createdAt: '2024-09-01T10:00:00.000Z' }));
+
+  assert.strictEqual(findPreviousRun(getRun('run-4')).id, 'run-1');
+  assert.strictEqual(findPreviousRun(getRun('run-1')), null);
+});
+
+test('deleteRun removes the run and its businesses', () => {
+  saveRun(job('run-1'));
+  assert.strictEqual(deleteRun('run-1'), true);
+  assert.strictEqual(getRun('run-1'), null);
+  assert.deepStrictEqual(getRunRecords('run-1'), []);
+  assert.strictEqual(deleteRun('run-1'), false);
+});
@@ -0,0 +1,104 @@
+// test/scheduler.test.js - Tests for scheduled searches
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { openRunStore, closeRunStore } = require('../lib/runStore');
+const { enqueueJob } = require('../lib/jobs');
+const {
+  EXECUTION_STATUS, upcomingRuns, listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule,
+  listExecutions, executeSchedule
+} = require('../lib/scheduler');
+
+const SEARCH = { queries: ['pizza'], locations: ['New York'], limit: 20 };
+
+function weekly(overrides = {}) {
+  return createSchedule({ name: 'Pizza competitors', cron: '0 6 * * 1', timezone: 'Europe/Berlin', search: SEARCH, ...overrides });
+}
+
+beforeEach(() => {
+  openRunStore(':memory:');
+});
+
+after(() => {
+  closeRunStore();
+});
+
+test('createSchedule stores a schedule with defaults', () => {
+  const schedule = createSchedule({ name: ' Weekly pizza ', cron: '0 6 * * 1', search: SEARCH });
+  assert.strictEqual(schedule.name, 'Weekly pizza');
+  assert.strictEqual(schedule.timezone, 'UTC');
+  assert.strictEqual(schedule.enabled, true);
+  assert.deepStrictEqual(schedule.search, SEARCH);
+  assert.deepStrictEqual(listSchedules().map(({ id }) => id), [schedule.id]);
+});
+
+test('createSchedule rejects bad cron expressions, timezones and searches', () => {
+  assert.throws(() => weekly({ cron: '61 6 * * 1' }), /Invalid cron expression/);
+  assert.throws(() => weekly({ timezone: 'Mars/Olympus' }), /Unknown timezone/);
+  assert.throws(() => weekly({ name: '' }), /name is required/);
+  assert.throws(() => weekly({ search: null }), /Search is required/);
+});
+
+test('upcomingRuns reads the cron expression in the schedule\'s timezone', () => {
+  const schedule = weekly();
+  // 06:00 in Berlin is 04:00 UTC in summer and 05:00 UTC in winter
+  assert.deepStrictEqual(upcomingRuns(schedule, 2, new Date('2024-10-20T00:00:00Z')), [
+    '2024-10-21T04:00:00.000Z',
+    '2024-10-28T05:00:00.000Z'
+  ]);
+  assert.deepStrictEqual(upcomingRuns({ ...schedule, enabled: false }), []);
+});
+
+test('updateSchedule changes only the given fields', () => {
+  const schedule = weekly();
+  const updated = updateSchedule(schedule.id, { enabled: false, cron: '30 7 * * *' });
+  assert.strictEqual(updated.enabled, false);
+  assert.strictEqual(updated.cron, '30 7 * * *');
+  assert.strictEqual(updated.timezone, 'Europe/Berlin');
+  assert.strictEqual(updateSchedule('missing', { enabled: false }), null);
+  assert.throws(() => updateSchedule(schedule.id, { enabled: 'no' }), /Enabled must be/);
+});
+
+test('executeSchedule starts a job and skips while that job is still running', async () => {
+  const schedule = weekly();
+  let finishJob = null;
+  const run = () => enqueueJob({ scheduleId: schedule.id }, () => new Promise((resolve) => {
+    finishJob = resolve;
+  }));
+
+  const started = executeSchedule(schedule.id, { run });
+  assert.strictEqual(started.status, EXECUTION_STATUS.STARTED);
+  assert.ok(started.jobId);
+
+  const skipped = executeSchedule(schedule.id, { run });
+  assert.strictEqual(skipped.status, EXECUTION_STATUS.SKIPPED);
+  assert.match(skipped.error, /still running/);
+
+  finishJob([]);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(executeSchedule(schedule.id, { run }).status, EXECUTION_STATUS.STARTED);
+  finishJob([]);
+
+  assert.deepStrictEqual(listExecutions(schedule.id).map(({ status }) => status), ['started', 'skipped', 'started']);
+});
+
+test('executeSchedule logs searches that fail to start', () => {
+  const schedule = weekly();
+  const failed = executeSchedule(schedule.id, {
+    run: () => {
+      throw new Error('Browser pool is shutting down');
+    }
+  });
+  assert.strictEqual(failed.status, EXECUTION_STATUS.FAILED);
+  assert.strictEqual(failed.error, 'Browser pool is shutting down');
+  assert.strictEqual(failed.jobId, null);
+  assert.strictEqual(executeSchedule('missing', { run: () => assert.fail('not run') }), null);
+});
+
+test('deleteSchedule removes the schedule and its executions', () => {
+  const schedule = weekly();
+  executeSchedule(schedule.id, { run: () => ({ id: 'job-1' }) });
+  assert.strictEqual(deleteSchedule(schedule.id), true);
+  assert.strictEqual(getSchedule(schedule.id), null);
+  assert.deepStrictEqual(listExecutions(schedule.id), []);
+  assert.strictEqual(deleteSchedule(schedule.id), false);
+});
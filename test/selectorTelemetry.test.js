@@ -0,0 +1,100 @@
+// test/selectorTelemetry.test.js - Tests for selector drift detection
+//
+// Telemetry state is kept per process, so each test uses fields of its own.
+// Thresholds come from config/selectors.json: "name" uses the default of 0.7,
+// "phone" overrides it with 0.5 and "email" turns the check off.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { addFieldSources, recordFieldSources, getSelectorTelemetry } = require('../lib/selectorTelemetry');
+
+const VERSION = 'test-1';
+
+// Record `count` records that filled `field` from `label`
+function feed(field, label, count) {
+  for (let i = 0; i < count; i++) {
+    recordFieldSources({ [field]: label }, VERSION);
+  }
+}
+
+function latestBucket() {
+  const { history } = getSelectorTelemetry();
+  return history[history.length - 1] || null;
+}
+
+function alertFor(field) {
+  return getSelectorTelemetry().alerts.find(alert => alert.field === field) || null;
+}
+
+test('addFieldSources counts labels by kind', () => {
+  const stats = {};
+  addFieldSources(stats, { name: 'selector:0', phone: 'fallback:1', email: 'none', rating: 'payload' });
+  addFieldSources(stats, { name: 'selector:1', phone: 'selector:0' });
+  assert.deepStrictEqual(stats.name, { total: 2, primary: 2, fallback: 0, none: 0, payload: 0, sources: { 'selector:0': 1, 'selector:1': 1 } });
+  assert.deepStrictEqual(stats.phone, { total: 2, primary: 1, fallback: 1, none: 0, payload: 0, sources: { 'fallback:1': 1, 'selector:0': 1 } });
+  assert.strictEqual(stats.email.none, 1);
+  assert.strictEqual(stats.rating.payload, 1);
+});
+
+test('no alert is raised before MIN_SAMPLES records', () => {
+  feed('name', 'fallback:0', 19);
+  assert.strictEqual(alertFor('name'), null);
+  assert.strictEqual(getSelectorTelemetry().rolling.name.samples, 19);
+
+  feed('name', 'fallback:0', 1);
+  const alert = alertFor('name');
+  assert.ok(alert);
+  assert.strictEqual(alert.primaryRate, 0);
+  assert.strictEqual(alert.threshold, 0.7);
+  assert.strictEqual(alert.registryVersion, VERSION);
+});
+
+test('an alert clears once primary selectors recover within the rolling window', () => {
+  feed('address', 'selector:0', 20);
+  feed('address', 'none', 10);
+  // 20 of 30 is below 0.7
+  assert.ok(alertFor('address'));
+
+  // The window holds the last 50 records: 40 primary of 50 is 0.8
+  feed('address', 'selector:0', 20);
+  assert.strictEqual(getSelectorTelemetry().rolling.address.samples, 50);
+  assert.strictEqual(getSelectorTelemetry().rolling.address.primaryRate, 0.8);
+  assert.strictEqual(alertFor('address'), null);
+
+  // Old records fall out of the window
+  feed('address', 'none', 50);
+  assert.strictEqual(getSelectorTelemetry().rolling.address.samples, 50);
+  assert.strictEqual(getSelectorTelemetry().rolling.address.primaryRate, 0);
+  assert.ok(alertFor('address'));
+});
+
+test('fields use the threshold their registry entry sets', () => {
+  // 12 of 20 is 0.6: above phone's 0.5, below the default 0.7
+  feed('phone', 'selector:0', 12);
+  feed('phone', 'fallback:0', 8);
+  assert.strictEqual(alertFor('phone'), null);
+  assert.strictEqual(getSelectorTelemetry().rolling.phone.threshold, 0.5);
+
+  feed('email', 'none', 30);
+  assert.strictEqual(alertFor('email'), null);
+});
+
+test('payload-sourced fields are left out of the drift check', () => {
+  feed('rating', 'payload', 30);
+  assert.strictEqual(getSelectorTelemetry().rolling.rating, undefined);
+  assert.strictEqual(alertFor('rating'), null);
+
+  assert.strictEqual(latestBucket().fields.rating.payload, 30);
+});
+
+test('records are counted in hourly buckets with the registry versions seen', () => {
+  const before = latestBucket();
+  const count = before ? before.records : 0;
+  recordFieldSources({ category: 'selector:0' }, 'test-2');
+
+  const bucket = latestBucket();
+  assert.match(bucket.hour, /^\d{4}-\d{2}-\d{2}T\d{2}:00:00Z$/);
+  assert.strictEqual(bucket.records, count + 1);
+  assert.ok(bucket.registryVersions.includes(VERSION));
+  assert.ok(bucket.registryVersions.includes('test-2'));
+  assert.strictEqual(bucket.fields.category.primary, 1);
+});
@@ -0,0 +1,62 @@
+// test/tiling.test.js - Tests for splitting a search area into map tiles
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseArea,
+  boundsFromCenter,
+  splitBounds,
+  zoomForBounds,
+  tileSearchUrl,
+  containsPoint
+} = require('../lib/tiling');
+
+test('parseArea accepts bounds and picks a grid of roughly 5 km tiles', () => {
+  const { bounds, grid } = parseArea({ bounds: { north: 40.80, south: 40.70, east: -73.93, west: -74.02 } });
+  assert.deepStrictEqual(bounds, { north: 40.80, south: 40.70, east: -73.93, west: -74.02 });
+  assert.strictEqual(grid, 3);
+});
+
+test('parseArea turns a center and radius into bounds', () => {
+  const { bounds, grid } = parseArea({ center: { lat: 52.52, lng: 13.405 }, radiusKm: 2, grid: 2 });
+  assert.strictEqual(grid, 2);
+  assert.ok(Math.abs(bounds.north - 52.52 - 0.01797) < 0.0001);
+  assert.ok(bounds.east - 13.405 > bounds.north - 52.52, 'longitude span widens away from the equator');
+});
+
+test('parseArea rejects malformed or oversized areas', () => {
+  assert.throws(() => parseArea(null), /Area must be an object/);
+  assert.throws(() => parseArea({ bounds: { north: 1, south: 2, east: 3, west: 1 } }), /north > south/);
+  assert.throws(() => parseArea({ center: { lat: 40, lng: -74 }, radiusKm: 500 }), /Radius must be/);
+  assert.throws(() => parseArea({ center: { lat: 40, lng: -74 }, radiusKm: 2, grid: 20 }), /Grid must be/);
+  assert.throws(() => parseArea({ bounds: { north: 60, south: 40, east: 10, west: 0 } }), /at most/);
+});
+
+test('splitBounds covers the bounds without gaps', () => {
+  const bounds = { north: 2, south: 0, east: 2, west: 0 };
+  const tiles = splitBounds(bounds, 2);
+
+  assert.deepStrictEqual(tiles, [
+    { north: 2, south: 1, west: 0, east: 1 },
+    { north: 2, south: 1, west: 1, east: 2 },
+    { north: 1, south: 0, west: 0, east: 1 },
+    { north: 1, south: 0, west: 1, east: 2 }
+  ]);
+});
+
+test('zoomForBounds zooms in on smaller tiles', () => {
+  const large = boundsFromCenter({ lat: 40.73, lng: -73.99 }, 8);
+  const small = boundsFromCenter({ lat: 40.73, lng: -73.99 }, 1);
+  assert.strictEqual(zoomForBounds(large), 12);
+  assert.strictEqual(zoomForBounds(small), 15);
+});
+
+test('tileSearchUrl centers the search on the tile', () => {
+  const url = tileSearchUrl('coffee shops', { north: 40.74, south: 40.72, east: -73.98, west: -74.0 });
+  assert.strictEqual(url, 'https://www.google.com/maps/search/coffee%20shops/@40.7300000,-73.9900000,15z?hl=en');
+});
+
+test('containsPoint checks coordinates against bounds', () => {
+  const bounds = { north: 2, south: 0, east: 2, west: 0 };
+  assert.ok(containsPoint(bounds, { latitude: 1, longitude: 1 }));
+  assert.ok(!containsPoint(bounds, { latitude: 3, longitude: 1 }));
+});
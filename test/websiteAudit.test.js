@@ -0,0 +1,142 @@
+// test/websiteAudit.test.js - Tests for the website health audit
+//
+// The audit runs in a local headless browser against sample sites served from
+// a local HTTP server.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const puppeteer = require('puppeteer');
+const { WEBSITE_HEALTH, HTTPS_STATE, httpsState, websiteHealth, auditWebsite } = require('../lib/websiteAudit');
+
+const SITES = {
+  '/': `<html><head>
+    <title> Joe's Pizza </title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="Description" content="Classic New York slices since 1975.">
+  </head><body>Pizza</body></html>`,
+  '/desktop-only': '<html><head><title>Kim\'s Video</title><meta name="viewport" content="width=1024"></head><body></body></html>'
+};
+
+let browser = null;
+let launchError = null;
+let server = null;
+let baseUrl = null;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/old-home') {
+      res.writeHead(301, { Location: '/' });
+      res.end();
+      return;
+    }
+    const body = SITES[req.url];
+    res.writeHead(body === undefined ? 404 : 200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body === undefined ? '<html><head><title>Not found</title></head></html>' : body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox'] });
+  } catch (error) {
+    launchError = error;
+  }
+});
+
+after(async () => {
+  if (browser) {
+    await browser.close();
+  }
+  await new Promise(resolve => server.close(resolve));
+});
+
+// As in the extraction tests, a browser that fails to launch fails these
+// tests unless SKIP_BROWSER_TESTS=1 is set
+function skipWithoutBrowser(t) {
+  if (browser) return false;
+  if (process.env.SKIP_BROWSER_TESTS !== '1') {
+    throw new Error(`Headless browser failed to launch (${launchError.message.split('\n')[0]}); set PUPPETEER_EXECUTABLE_PATH, or SKIP_BROWSER_TESTS=1 to skip`);
+  }
+  t.skip(`headless browser unavailable (${launchError.message.split('\n')[0]}); SKIP_BROWSER_TESTS is set`);
+  return true;
+}
+
+test('httpsState reads the certificate state of the final page', () => {
+  assert.strictEqual(httpsState('http://joespizza.example/', null), HTTPS_STATE.NONE);
+  assert.strictEqual(httpsState('https://joespizza.example/', {
+    securityState: 'secure',
+    certificateSecurityState: { validTo: Date.now() / 1000 + 86400 }
+  }), HTTPS_STATE.VALID);
+  assert.strictEqual(httpsState('https://joespizza.example/', {
+    securityState: 'insecure-broken',
+    certificateSecurityState: { certificateNetworkError: 'net::ERR_CERT_AUTHORITY_INVALID' }
+  }), HTTPS_STATE.INVALID);
+  assert.strictEqual(httpsState('https://joespizza.example/', {
+    securityState: 'secure',
+    certificateSecurityState: { validTo: Date.now() / 1000 - 86400 }
+  }), HTTPS_STATE.INVALID);
+});
+
+test('websiteHealth flags missing and broken websites', () => {
+  assert.strictEqual(websiteHealth({ websiteStatus: 200, websiteError: null }), WEBSITE_HEALTH.OK);
+  assert.strictEqual(websiteHealth({ websiteStatus: 'N/A', websiteError: 'No website' }), WEBSITE_HEALTH.MISSING);
+  assert.strictEqual(websiteHealth({ websiteStatus: 503, websiteError: null }), WEBSITE_HEALTH.BROKEN);
+  assert.strictEqual(websiteHealth({ websiteStatus: 'N/A', websiteError: 'net::ERR_NAME_NOT_RESOLVED' }), WEBSITE_HEALTH.BROKEN);
+});
+
+test('auditWebsite needs no page for a business without a website', async () => {
+  const audit = await auditWebsite({ newPage: () => assert.fail('no page should be opened') }, 'N/A');
+  assert.strictEqual(audit.websiteHealth, WEBSITE_HEALTH.MISSING);
+  assert.strictEqual(audit.websiteStatus, 'N/A');
+});
+
+test('auditWebsite retries a bare domain over plain HTTP', async () => {
+  const visited = [];
+  // A page that only loads over HTTP
+  const page = {
+    target: () => ({ createCDPSession: async () => ({ on() {}, off() {}, send: async () => {} }) }),
+    goto: async (url) => {
+      visited.push(url);
+      if (url.startsWith('https:')) throw new Error('net::ERR_SSL_PROTOCOL_ERROR');
+      return { status: () => 200 };
+    },
+    evaluate: async () => ({ title: "Joe's Pizza", description: null, mobileViewport: true }),
+    url: () => visited[visited.length - 1],
+    close: async () => {}
+  };
+  const audit = await auditWebsite({ newPage: async () => page }, 'joespizza.example');
+  assert.deepStrictEqual(visited, ['https://joespizza.example/', 'http://joespizza.example/']);
+  assert.strictEqual(audit.websiteStatus, 200);
+  assert.strictEqual(audit.websiteHttps, HTTPS_STATE.NONE);
+  assert.strictEqual(audit.websiteHealth, WEBSITE_HEALTH.OK);
+});
+
+test('auditWebsite follows redirects and reads the page head', async (t) => {
+  if (skipWithoutBrowser(t)) return;
+
+  const audit = await auditWebsite(browser, `${baseUrl}/old-home`);
+  assert.strictEqual(audit.websiteStatus, 200);
+  assert.strictEqual(audit.websiteFinalUrl, `${baseUrl}/`);
+  assert.strictEqual(audit.websiteHttps, HTTPS_STATE.NONE);
+  assert.strictEqual(audit.websiteMobileViewport, true);
+  assert.strictEqual(audit.websiteTitle, "Joe's Pizza");
+  assert.strictEqual(audit.websiteDescription, 'Classic New York slices since 1975.');
+  assert.ok(typeof audit.websiteLoadTime === 'number');
+  assert.strictEqual(audit.websiteHealth, WEBSITE_HEALTH.OK);
+});
+
+test('auditWebsite reports pages without a mobile viewport and broken pages', async (t) => {
+  if (skipWithoutBrowser(t)) return;
+
+  const desktop = await auditWebsite(browser, `${baseUrl}/desktop-only`);
+  assert.strictEqual(desktop.websiteMobileViewport, false);
+  assert.strictEqual(desktop.websiteDescription, 'N/A');
+
+  const missing = await auditWebsite(browser, `${baseUrl}/gone`);
+  assert.strictEqual(missing.websiteStatus, 404);
+  assert.strictEqual(missing.websiteHealth, WEBSITE_HEALTH.BROKEN);
+
+  const unreachable = await auditWebsite(browser, 'http://127.0.0.1:1/', { timeout: 5000 });
+  assert.ok(unreachable.websiteError);
+  assert.strictEqual(unreachable.websiteHealth, WEBSITE_HEALTH.BROKEN);
+});
@@ -0,0 +1,151 @@
+// test/websiteCrawler.test.js - Tests for the website contact crawler
+//
+// The sample sites are served from a local HTTP server, so the tests never
+// touch the network.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { websiteUrls, extractContacts, contactPageLinks, crawlWebsite, enrichRecord, socialProfileUrl } = require('../lib/websiteCrawler');
+
+const SITES = {
+  '/': `<html><body>
+    <nav><a href="/menu">Menu</a> <a href="/contact-us">Contact</a> <a href="/ueber-uns">Über uns</a>
+      <a href="/impressum">Impressum</a> <a href="https://elsewhere.example/contact">Partner</a></nav>
+    <img src="/logo@2x.png">
+    <footer>
+      <a href="https://www.facebook.com/joespizzanyc/">Facebook</a>
+      <a href="https://www.facebook.com/sharer/sharer.php?u=x">Share</a>
+      <a href="https://instagram.com/joespizzanyc?hl=en">Instagram</a>
+      <a href="https://twitter.com/joespizza">Twitter</a>
+    </footer>
+  </body></html>`,
+  '/contact-us': `<html><body>
+    <p>Write to <a href="mailto:Hello@JoesPizza.example?subject=Hi">us</a>
+      or catering [at] joespizza [dot] example.</p>
+    <p>Call <a href="tel:+1-212-366-1182">(212) 366-1182</a> or our office on (212) 555-0148.</p>
+    <a href="https://www.linkedin.com/company/joes-pizza">LinkedIn</a>
+  </body></html>`,
+  '/ueber-uns': '<html><body><a href="https://www.tiktok.com/@joespizza">TikTok</a></body></html>',
+  '/impressum': '<html><body>Responsible: owner@joespizza.example</body></html>',
+  '/menu': '<html><body>menu@joespizza.example</body></html>',
+  // Latin-1 percent-escapes, which are not valid UTF-8
+  '/legacy': `<html><body>
+    <a href="/caf%E9-contact">Contact</a> <a href="mailto:caf%E9@joespizza.example">Mail</a>
+    <a href="tel:%2B1%20212%20366%201182%E9">Call</a>
+  </body></html>`,
+  '/caf%E9-contact': '<html><body>info@joespizza.example</body></html>',
+  '/old-home': null
+};
+
+let server = null;
+let baseUrl = null;
+const requested = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url === '/old-home') {
+      res.writeHead(301, { Location: '/' });
+      res.end();
+      return;
+    }
+    if (req.url === '/broken') {
+      res.writeHead(500, { 'Content-Type': 'text/html' });
+      res.end('<html><body>error@joespizza.example</body></html>');
+      return;
+    }
+    const body = SITES[req.url];
+    if (body === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('websiteUrls tries bare domains over HTTPS, then HTTP', () => {
+  assert.deepStrictEqual(websiteUrls('joespizzanyc.com'), ['https://joespizzanyc.com/', 'http://joespizzanyc.com/']);
+  assert.deepStrictEqual(websiteUrls('http://joespizzanyc.com/menu'), ['http://joespizzanyc.com/menu']);
+  assert.deepStrictEqual(websiteUrls('N/A'), []);
+});
+
+test('extractContacts reads emails, phones and social profiles', () => {
+  const contacts = extractContacts(SITES['/contact-us'], 'http://site.example/contact-us', { country: 'US' });
+  assert.deepStrictEqual(contacts.emails, ['hello@joespizza.example', 'catering@joespizza.example']);
+  assert.deepStrictEqual(contacts.phones, ['+12123661182', '+12125550148']);
+  assert.deepStrictEqual(contacts.socials, [{ network: 'linkedin', url: 'https://www.linkedin.com/company/joes-pizza' }]);
+});
+
+test('extractContacts skips share links and image names', () => {
+  const contacts = extractContacts(SITES['/'], 'http://site.example/');
+  assert.deepStrictEqual(contacts.emails, []);
+  assert.deepStrictEqual(contacts.socials.map(({ network }) => network), ['facebook', 'instagram', 'x']);
+  assert.strictEqual(contacts.socials[1].url, 'https://instagram.com/joespizzanyc');
+});
+
+test('contactPageLinks ranks contact and imprint pages on the same site', () => {
+  const { links } = extractContacts(SITES['/'], 'http://site.example/');
+  assert.deepStrictEqual(contactPageLinks(links, 'http://site.example/'), [
+    'http://site.example/contact-us',
+    'http://site.example/impressum',
+    'http://site.example/ueber-uns'
+  ]);
+});
+
+test('crawlWebsite follows contact pages within the page budget and records sources', async () => {
+  const crawl = await crawlWebsite(`${baseUrl}/old-home`, { pageBudget: 3, country: 'US' });
+  assert.strictEqual(crawl.error, null);
+  assert.deepStrictEqual(crawl.pages.map(({ url }) => url.replace(baseUrl, '')), ['/', '/contact-us', '/impressum']);
+  assert.deepStrictEqual(crawl.emails, [
+    { value: 'hello@joespizza.example', source: `${baseUrl}/contact-us` },
+    { value: 'catering@joespizza.example', source: `${baseUrl}/contact-us` },
+    { value: 'owner@joespizza.example', source: `${baseUrl}/impressum` }
+  ]);
+  assert.deepStrictEqual(crawl.socials.find(({ network }) => network === 'facebook'), {
+    network: 'facebook', url: 'https://www.facebook.com/joespizzanyc', source: `${baseUrl}/`
+  });
+  assert.ok(!requested.includes('/menu'));
+  assert.ok(!requested.includes('/ueber-uns'));
+});
+
+test('crawlWebsite falls back to HTTP for a bare domain', async () => {
+  const crawl = await crawlWebsite(baseUrl.replace('http://', ''), { pageBudget: 1 });
+  assert.strictEqual(crawl.error, null);
+  assert.deepStrictEqual(crawl.pages, [{ url: `${baseUrl}/`, status: 200 }]);
+});
+
+test('crawlWebsite reports sites it cannot read', async () => {
+  assert.strictEqual((await crawlWebsite(`${baseUrl}/broken`)).error, 'HTTP 500');
+  assert.strictEqual((await crawlWebsite('N/A')).error, 'No website');
+  const unreachable = await crawlWebsite('http://127.0.0.1:1/', { timeout: 2000 });
+  assert.ok(unreachable.error);
+  assert.deepStrictEqual(unreachable.pages, []);
+});
+
+test('crawlWebsite reads links with malformed percent-escapes', async () => {
+  const crawl = await crawlWebsite(`${baseUrl}/legacy`, { country: 'US' });
+  assert.strictEqual(crawl.error, null);
+  assert.deepStrictEqual(crawl.pages.map(({ url }) => url.replace(baseUrl, '')), ['/legacy', '/caf%E9-contact']);
+  // Undecodable addresses are kept as written
+  assert.deepStrictEqual(crawl.emails.map(({ value }) => value), ['caf%e9@joespizza.example', 'info@joespizza.example']);
+});
+
+test('enrichRecord replaces the email and keeps only extra phones', async () => {
+  const record = await enrichRecord(
+    { name: "Joe's Pizza", website: baseUrl, phone: '+12123661182', email: 'logo@2x.png', country: 'US' },
+    { pageBudget: 5 }
+  );
+  assert.strictEqual(record.email, 'hello@joespizza.example');
+  assert.deepStrictEqual(record.extraPhones, [{ value: '+12125550148', source: `${baseUrl}/contact-us` }]);
+  assert.strictEqual(socialProfileUrl(record, 'tiktok'), 'https://www.tiktok.com/@joespizza');
+  assert.strictEqual(socialProfileUrl(record, 'linkedin'), 'https://www.linkedin.com/company/joes-pizza');
+  assert.strictEqual(record.crawlError, null);
+});